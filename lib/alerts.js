@@ -0,0 +1,95 @@
+// Alert rules: moments during a running session the user wants to be told
+// about. Each rule is a number, or null to turn it off.
+//   earningsTarget    - ETB earned in the session
+//   minutesLeft       - minutes left of a fixed session's planned hours
+//   dailyLimitMinutes - minutes left of the daily overtime allowance
+//   limitPercent      - share of the weekly or yearly limit used, in percent
+// An alert fires once per session.
+
+const DEFAULT_ALERTS = {
+  earningsTarget: null,
+  minutesLeft: 30,
+  dailyLimitMinutes: 30,
+  limitPercent: 80
+};
+
+// Check the alert rules of a settings update. Rules left out take their
+// defaults. Returns { alerts } or { error }.
+function validateAlerts(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Alerts must be an object of alert rules' };
+  }
+
+  const alerts = { ...DEFAULT_ALERTS };
+  for (const rule of Object.keys(DEFAULT_ALERTS)) {
+    const value = input[rule];
+    if (value === undefined) {
+      continue;
+    }
+    if (value !== null && !(typeof value === 'number' && value > 0)) {
+      return { error: `Alert "${rule}" must be a number above 0, or null to turn it off` };
+    }
+    alerts[rule] = value;
+  }
+
+  if (alerts.limitPercent !== null && alerts.limitPercent > 100) {
+    return { error: 'Alert "limitPercent" must be at most 100' };
+  }
+  return { alerts };
+}
+
+// The alerts a running session has just become due for, leaving out those
+// in `fired`. `facts`:
+//   earnings, remainingSeconds (null when open-ended), emergency
+//   tracking - { daily, weekly, yearly } hours, or null when not needed
+//   limits   - MAX_HOURS_PER_DAY / _WEEK / _YEAR of the pay policy
+// Emergency sessions are exempt from the limits, so they get no limit
+// alerts. Returns [{ rule, level, message }].
+function dueAlerts(rules, facts, fired = []) {
+  const due = [];
+  const add = (rule, level, message) => {
+    if (!fired.includes(rule)) {
+      due.push({ rule, level, message });
+    }
+  };
+
+  if (rules.earningsTarget !== null && facts.earnings >= rules.earningsTarget) {
+    add('earningsTarget', 'success', `🎯 You have earned ETB ${facts.earnings.toFixed(2)}, reaching your target of ETB ${rules.earningsTarget.toFixed(2)}`);
+  }
+
+  if (rules.minutesLeft !== null && facts.remainingSeconds !== null &&
+      facts.remainingSeconds > 0 && facts.remainingSeconds <= rules.minutesLeft * 60) {
+    add('minutesLeft', 'info', `⏰ ${Math.ceil(facts.remainingSeconds / 60)} minutes left in this session`);
+  }
+
+  if (facts.emergency || !facts.tracking) {
+    return due;
+  }
+
+  const { tracking, limits } = facts;
+  const dailyLeft = limits.MAX_HOURS_PER_DAY - tracking.daily;
+  if (rules.dailyLimitMinutes !== null && dailyLeft <= rules.dailyLimitMinutes / 60) {
+    add('dailyLimit', 'warning', dailyLeft > 0
+      ? `⚠️ ${Math.ceil(dailyLeft * 60)} minutes left of today's ${limits.MAX_HOURS_PER_DAY}-hour overtime limit`
+      : `⚠️ Today's ${limits.MAX_HOURS_PER_DAY}-hour overtime limit is used up`);
+  }
+
+  if (rules.limitPercent !== null) {
+    [
+      { rule: 'weeklyLimit', period: 'weekly', used: tracking.weekly, maxHours: limits.MAX_HOURS_PER_WEEK },
+      { rule: 'yearlyLimit', period: 'yearly', used: tracking.yearly, maxHours: limits.MAX_HOURS_PER_YEAR }
+    ]
+      .filter(({ used, maxHours }) => used >= maxHours * rules.limitPercent / 100)
+      .forEach(({ rule, period, used, maxHours }) => {
+        add(rule, 'warning', `⚠️ You have used ${Math.floor(used / maxHours * 100)}% of your ${period} overtime limit (${used.toFixed(1)} of ${maxHours} hours)`);
+      });
+  }
+
+  return due;
+}
+
+module.exports = {
+  DEFAULT_ALERTS,
+  validateAlerts,
+  dueAlerts
+};
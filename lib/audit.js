@@ -0,0 +1,38 @@
+// Append-only audit trail. Entries are never edited or removed, so they
+// show who declared, changed or withdrew what and when, even after the
+// session they describe was edited or deleted.
+
+const crypto = require('crypto');
+
+function createAuditLog(store) {
+  // actorId made the change; userId is the person it concerns
+  function record(action, { actorId, userId, sessionId = null, details = {} }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date(),
+      action,
+      actorId,
+      userId,
+      sessionId,
+      details
+    };
+    store.put('auditLog', entry.id, entry);
+    return entry;
+  }
+
+  // Entries about any of the given users, newest first
+  function listForUsers(userIds) {
+    const ids = new Set(userIds);
+    return store.list('auditLog', entry => ids.has(entry.userId))
+      .sort((a, b) => new Date(b.at) - new Date(a.at));
+  }
+
+  return {
+    record,
+    listForUsers
+  };
+}
+
+module.exports = {
+  createAuditLog
+};
@@ -0,0 +1,217 @@
+// User accounts: password hashing, login tokens and request authentication.
+//
+// Login tokens are signed (lib/signed-token.js) with the user's id and name
+// and an expiry, and also recorded in the store. A server that knows the
+// token checks its record, so logging out ends it there. One that has no
+// record, such as a fresh serverless instance, trusts the signature, so the
+// login works without server memory.
+
+const crypto = require('crypto');
+const { getUserSettings } = require('./settings');
+const { createSigner } = require('./signed-token');
+
+const AUTH_COOKIE = 'ot_auth';
+const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, storedHash) {
+  const [salt, hash] = (storedHash || '').split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Tokens are stored hashed so a leaked data file can't be used to log in
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+// Accepts either the auth cookie or an `Authorization: Bearer <token>` header
+function extractToken(headers) {
+  const authorization = headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return parseCookies(headers.cookie)[AUTH_COOKIE] || null;
+}
+
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-32 characters (letters, numbers, dot, dash or underscore)';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// `secret` signs login tokens. `adminUserIds` lists the accounts that
+// manage data shared by every user. They are matched by id, not username:
+// anyone can register a username that no account has taken yet.
+function createAuth(store, { secret, adminUserIds = [] } = {}) {
+  const signer = createSigner(secret, 'login');
+  const admins = new Set(adminUserIds);
+
+  function isAdmin(user) {
+    return Boolean(user) && admins.has(user.id);
+  }
+
+  function findUserByUsername(username) {
+    const normalized = username.toLowerCase();
+    return store.list('users', user => user.username.toLowerCase() === normalized)[0] || null;
+  }
+
+  function register(username, password) {
+    const error = validateCredentials(username, password);
+    if (error) {
+      return { error };
+    }
+    if (findUserByUsername(username)) {
+      return { error: 'Username is already taken' };
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      passwordHash: hashPassword(password),
+      createdAt: new Date()
+    };
+    store.put('users', user.id, user);
+    return { user };
+  }
+
+  function login(username, password) {
+    const user = typeof username === 'string' ? findUserByUsername(username) : null;
+    if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+      return { error: 'Invalid username or password' };
+    }
+    return { user };
+  }
+
+  function issueToken(user) {
+    const now = Date.now();
+    const token = signer.sign({
+      uid: user.id,
+      name: user.username,
+      exp: now + TOKEN_TTL_MS,
+      nonce: crypto.randomBytes(16).toString('hex')
+    });
+    store.put('authTokens', hashToken(token), {
+      userId: user.id,
+      createdAt: new Date(now),
+      expiresAt: new Date(now + TOKEN_TTL_MS)
+    });
+    return token;
+  }
+
+  // The record is kept, marked revoked, so the signature alone can't bring
+  // the token back on this server
+  function revokeToken(token) {
+    const record = token ? store.get('authTokens', hashToken(token)) : null;
+    if (record) {
+      store.put('authTokens', hashToken(token), { ...record, revokedAt: new Date() });
+    }
+  }
+
+  function userFromToken(token) {
+    if (!token) {
+      return null;
+    }
+    const record = store.get('authTokens', hashToken(token));
+    if (record) {
+      if (record.revokedAt || new Date(record.expiresAt) < new Date()) {
+        return null;
+      }
+      return store.get('users', record.userId);
+    }
+
+    // No record here: trust a valid signature. The user record may be
+    // missing too, so the token's id and name stand in for it.
+    const payload = signer.verify(token);
+    if (!payload || !payload.uid || !(payload.exp > Date.now())) {
+      return null;
+    }
+    return store.get('users', payload.uid) || { id: payload.uid, username: payload.name };
+  }
+
+  // Express middleware: rejects the request unless a valid token is present
+  function requireAuth(req, res, next) {
+    const user = userFromToken(extractToken(req.headers));
+    if (!user) {
+      return res.status(401).json({ error: 'Please log in to continue' });
+    }
+    req.user = user;
+    next();
+  }
+
+  // Express middleware for routes that only admins may use; runs after
+  // requireAuth
+  function requireAdmin(req, res, next) {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only an administrator can do that' });
+    }
+    next();
+  }
+
+  // Socket.io middleware: same check against the handshake headers
+  function authenticateSocket(socket, next) {
+    const user = userFromToken(extractToken(socket.handshake.headers));
+    if (!user) {
+      return next(new Error('Authentication required'));
+    }
+    socket.user = user;
+    next();
+  }
+
+  return {
+    findUserByUsername,
+    register,
+    login,
+    issueToken,
+    revokeToken,
+    isAdmin,
+    requireAuth,
+    requireAdmin,
+    authenticateSocket,
+    extractToken
+  };
+}
+
+// Public view of a user record (never expose the password hash)
+function publicUser(user, { isAdmin = false } = {}) {
+  return {
+    id: user.id,
+    username: user.username,
+    createdAt: user.createdAt,
+    isAdmin,
+    settings: getUserSettings(user)
+  };
+}
+
+module.exports = {
+  AUTH_COOKIE,
+  TOKEN_TTL_MS,
+  createAuth,
+  publicUser
+};
@@ -0,0 +1,80 @@
+// Payroll deductions: Ethiopian employment income tax and the employee
+// pension contribution. Tax is charged on the whole month's employment
+// income, so overtime is taxed at the marginal rate on top of the salary
+// and any overtime already earned that month.
+
+// Monthly employment income tax schedule (Income Tax Proclamation No.
+// 979/2016 as amended in 2025). `upTo` is the top of the bracket in ETB,
+// null for the last one.
+const INCOME_TAX_BRACKETS = [
+  { upTo: 2000, rate: 0 },
+  { upTo: 4000, rate: 0.15 },
+  { upTo: 7000, rate: 0.20 },
+  { upTo: 10000, rate: 0.25 },
+  { upTo: 14000, rate: 0.30 },
+  { upTo: null, rate: 0.35 }
+];
+
+// Employee share of the private organization pension (Proclamation No.
+// 1268/2022). It is taken from the basic salary only; overtime is not
+// pensionable.
+const PENSION_RATE = 0.07;
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Tax due on a month's taxable employment income
+function incomeTax(monthlyIncome) {
+  let tax = 0;
+  let lower = 0;
+
+  for (const bracket of INCOME_TAX_BRACKETS) {
+    const upper = bracket.upTo === null ? Infinity : bracket.upTo;
+    if (monthlyIncome > lower) {
+      tax += (Math.min(monthlyIncome, upper) - lower) * bracket.rate;
+    }
+    lower = upper;
+  }
+
+  return tax;
+}
+
+// Rate of the bracket the income's last birr falls into
+function marginalRate(monthlyIncome) {
+  const bracket = INCOME_TAX_BRACKETS.find(({ upTo }) => upTo === null || monthlyIncome <= upTo);
+  return bracket.rate;
+}
+
+// Net pay estimate for `overtimePay` earned in a month with the given basic
+// salary, after `otherOvertimePay` already earned that month
+function calculateDeductions({ monthlySalary, overtimePay, otherOvertimePay = 0 }) {
+  const incomeBefore = monthlySalary + otherOvertimePay;
+  const grossIncome = incomeBefore + overtimePay;
+  const taxBefore = incomeTax(incomeBefore);
+  const totalTax = incomeTax(grossIncome);
+  const overtimeTax = totalTax - taxBefore;
+  const pension = monthlySalary * PENSION_RATE;
+
+  return {
+    grossOvertimePay: roundMoney(overtimePay),
+    overtimeTax: roundMoney(overtimeTax),
+    netOvertimePay: roundMoney(overtimePay - overtimeTax),
+    marginalTaxRate: marginalRate(grossIncome),
+    monthly: {
+      salary: roundMoney(monthlySalary),
+      overtimePay: roundMoney(otherOvertimePay + overtimePay),
+      grossIncome: roundMoney(grossIncome),
+      incomeTax: roundMoney(totalTax),
+      pension: roundMoney(pension),
+      netIncome: roundMoney(grossIncome - totalTax - pension)
+    }
+  };
+}
+
+module.exports = {
+  INCOME_TAX_BRACKETS,
+  PENSION_RATE,
+  incomeTax,
+  calculateDeductions
+};
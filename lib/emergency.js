@@ -0,0 +1,54 @@
+// Emergency overtime: the labour proclamation allows work beyond the normal
+// overtime limits in an emergency. Such sessions carry a reason category and
+// a written justification, and their hours are kept out of the totals that
+// are checked against the limits.
+
+const EMERGENCY_CATEGORIES = {
+  accident: 'Accident (actual or threatened)',
+  'force-majeure': 'Force majeure',
+  'urgent-work': 'Urgent work'
+};
+
+const MAX_JUSTIFICATION_LENGTH = 1000;
+
+function emergencyLabel(category) {
+  return EMERGENCY_CATEGORIES[category] || category;
+}
+
+// The emergency details of a session from request input. Returns
+// { emergency } with null for a normal session, or { error }.
+function parseEmergency(input) {
+  if (!input) {
+    return { emergency: null };
+  }
+  if (typeof input !== 'object') {
+    return { error: 'Emergency must be sent as { category, justification }' };
+  }
+
+  const { category, justification } = input;
+  if (!EMERGENCY_CATEGORIES[category]) {
+    return { error: `Emergency category must be one of: ${Object.keys(EMERGENCY_CATEGORIES).join(', ')}` };
+  }
+  if (typeof justification !== 'string' || !justification.trim()) {
+    return { error: 'Emergency overtime needs a justification' };
+  }
+  if (justification.length > MAX_JUSTIFICATION_LENGTH) {
+    return { error: `The justification must be at most ${MAX_JUSTIFICATION_LENGTH} characters` };
+  }
+
+  return { emergency: { category, justification: justification.trim() } };
+}
+
+function sameEmergency(a, b) {
+  if (!a || !b) {
+    return !a && !b;
+  }
+  return a.category === b.category && a.justification === b.justification;
+}
+
+module.exports = {
+  EMERGENCY_CATEGORIES,
+  emergencyLabel,
+  parseEmergency,
+  sameEmergency
+};
@@ -0,0 +1,184 @@
+// Ethiopian public holiday calendar. Works offline: fixed holidays are
+// defined in the Ethiopian or Gregorian calendar, Fasika (Orthodox Easter)
+// is computed, and the Islamic holidays come from the bundled table below.
+// Overrides stored in the 'holidayOverrides' collection add, rename or
+// remove a holiday on a specific date.
+
+const EthiopianCalendar = require('../shared/ethiopian-calendar');
+const { localDateKey } = require('./time');
+
+const FIXED_HOLIDAYS = [
+  { name: 'Ethiopian Christmas (Genna)', calendar: 'gregorian', month: 1, day: 7 },
+  { name: 'Epiphany (Timket)', calendar: 'ethiopian', month: 5, day: 11 },
+  { name: 'Adwa Victory Day', calendar: 'ethiopian', month: 6, day: 23 },
+  { name: 'International Labour Day', calendar: 'gregorian', month: 5, day: 1 },
+  { name: 'Patriots\' Victory Day', calendar: 'ethiopian', month: 8, day: 27 },
+  { name: 'Downfall of the Derg', calendar: 'ethiopian', month: 9, day: 20 },
+  { name: 'Ethiopian New Year (Enkutatash)', calendar: 'ethiopian', month: 1, day: 1 },
+  { name: 'Finding of the True Cross (Meskel)', calendar: 'ethiopian', month: 1, day: 17 }
+];
+
+// Islamic holidays follow the lunar calendar and the final date depends on
+// the moon sighting, so these are the expected dates. Correct them with an
+// override when the official announcement differs.
+const ISLAMIC_HOLIDAYS = {
+  2024: { eidAlFitr: '2024-04-10', eidAlAdha: '2024-06-16', mawlid: '2024-09-15' },
+  2025: { eidAlFitr: '2025-03-30', eidAlAdha: '2025-06-06', mawlid: '2025-09-04' },
+  2026: { eidAlFitr: '2026-03-20', eidAlAdha: '2026-05-27', mawlid: '2026-08-26' },
+  2027: { eidAlFitr: '2027-03-10', eidAlAdha: '2027-05-17', mawlid: '2027-08-15' },
+  2028: { eidAlFitr: '2028-02-27', eidAlAdha: '2028-05-06', mawlid: '2028-08-04' },
+  2029: { eidAlFitr: '2029-02-15', eidAlAdha: '2029-04-25', mawlid: '2029-07-24' },
+  2030: { eidAlFitr: '2030-02-05', eidAlAdha: '2030-04-14', mawlid: '2030-07-14' },
+  2031: { eidAlFitr: '2031-01-25', eidAlAdha: '2031-04-04', mawlid: '2031-07-03' },
+  2032: { eidAlFitr: '2032-01-14', eidAlAdha: '2032-03-23', mawlid: '2032-06-22' }
+};
+
+const ISLAMIC_HOLIDAY_NAMES = {
+  eidAlFitr: 'Eid al-Fitr',
+  eidAlAdha: 'Eid al-Adha (Arafa)',
+  mawlid: 'Mawlid (Birth of the Prophet)'
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NAME_LENGTH = 80;
+
+function toDateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function shiftDateKey(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return toDateKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+// Orthodox Easter: Julian computus (Meeus), shifted 13 days to the
+// Gregorian calendar (valid 1900-2099)
+function fasikaDateKey(year) {
+  const a = year % 4;
+  const b = year % 7;
+  const c = year % 19;
+  const d = (19 * c + 15) % 30;
+  const e = (2 * a + 4 * b - d + 34) % 7;
+  const month = Math.floor((d + e + 114) / 31);
+  const day = ((d + e + 114) % 31) + 1;
+  return shiftDateKey(toDateKey(year, month, day), 13);
+}
+
+// Built-in holidays falling in a Gregorian year, sorted by date
+function builtInHolidays(year) {
+  const holidays = [];
+
+  FIXED_HOLIDAYS.forEach(holiday => {
+    if (holiday.calendar === 'gregorian') {
+      holidays.push({ date: toDateKey(year, holiday.month, holiday.day), name: holiday.name });
+      return;
+    }
+    // A Gregorian year overlaps two Ethiopian years
+    [year - 8, year - 7].forEach(ethiopianYear => {
+      const date = EthiopianCalendar.toGregorian(ethiopianYear, holiday.month, holiday.day);
+      if (date.year === year) {
+        holidays.push({ date: toDateKey(date.year, date.month, date.day), name: holiday.name });
+      }
+    });
+  });
+
+  const fasika = fasikaDateKey(year);
+  holidays.push({ date: shiftDateKey(fasika, -2), name: 'Ethiopian Good Friday (Siklet)' });
+  holidays.push({ date: fasika, name: 'Ethiopian Easter (Fasika)' });
+
+  Object.entries(ISLAMIC_HOLIDAYS[year] || {}).forEach(([key, date]) => {
+    holidays.push({ date, name: ISLAMIC_HOLIDAY_NAMES[key] });
+  });
+
+  // Movable holidays can land on a fixed one (Fasika on Patriots' Day in 2024)
+  const byDate = new Map();
+  holidays.forEach(holiday => {
+    const existing = byDate.get(holiday.date);
+    byDate.set(holiday.date, {
+      date: holiday.date,
+      name: existing ? `${existing.name} & ${holiday.name}` : holiday.name,
+      source: 'built-in'
+    });
+  });
+
+  return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function isValidDateKey(key) {
+  if (typeof key !== 'string' || !DATE_KEY_PATTERN.test(key)) {
+    return false;
+  }
+  return shiftDateKey(key, 0) === key;
+}
+
+// Holiday names are shown to every user, so markup characters and control
+// characters are dropped and whitespace collapsed
+function cleanHolidayName(name) {
+  return name.replace(/[<>\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function createHolidayCalendar(store) {
+  // Built-in holidays for the year with overrides applied
+  function holidaysForYear(year) {
+    const byDate = new Map();
+    builtInHolidays(year).forEach(holiday => byDate.set(holiday.date, holiday));
+
+    store.list('holidayOverrides', override => override.date.startsWith(`${year}-`)).forEach(override => {
+      if (override.isHoliday) {
+        byDate.set(override.date, { date: override.date, name: override.name, source: 'override' });
+      } else {
+        byDate.delete(override.date);
+      }
+    });
+
+    return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Holiday on the local calendar day of `date`, or null
+  function holidayOn(date) {
+    const key = localDateKey(date);
+    const year = Number(key.slice(0, 4));
+    return holidaysForYear(year).find(holiday => holiday.date === key) || null;
+  }
+
+  function setOverride(date, { name, isHoliday = true }, userId) {
+    if (!isValidDateKey(date)) {
+      return { error: 'Date must be a valid YYYY-MM-DD date' };
+    }
+    const cleanName = typeof name === 'string' ? cleanHolidayName(name) : '';
+    if (isHoliday && !cleanName) {
+      return { error: 'Holiday name is required' };
+    }
+    if (cleanName.length > MAX_NAME_LENGTH) {
+      return { error: `Holiday name must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+
+    const override = {
+      date,
+      name: isHoliday ? cleanName : null,
+      isHoliday: Boolean(isHoliday),
+      updatedBy: userId,
+      updatedAt: new Date()
+    };
+    store.put('holidayOverrides', date, override);
+    return { override };
+  }
+
+  function removeOverride(date) {
+    return store.remove('holidayOverrides', date);
+  }
+
+  return {
+    holidaysForYear,
+    holidayOn,
+    setOverride,
+    removeOverride
+  };
+}
+
+module.exports = {
+  builtInHolidays,
+  fasikaDateKey,
+  createHolidayCalendar
+};
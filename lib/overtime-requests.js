@@ -0,0 +1,108 @@
+// Overtime pre-approval: an employee asks to work overtime on a given day,
+// and a supervisor of one of their teams approves (possibly for fewer
+// hours) or rejects the request.
+
+const crypto = require('crypto');
+const { parseLocalDateKey } = require('./time');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const MAX_REASON_LENGTH = 500;
+
+function createOvertimeRequests(store, { overtimeTypes }) {
+  function getRequest(requestId) {
+    return store.get('overtimeRequests', requestId);
+  }
+
+  function listForUser(userId) {
+    return store.list('overtimeRequests', request => request.userId === userId)
+      .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt - a.createdAt);
+  }
+
+  // Requests from any of the given users, optionally with one status
+  function listForUsers(userIds, status = null) {
+    const ids = new Set(userIds);
+    return store.list('overtimeRequests', request => (
+      ids.has(request.userId) && (!status || request.status === status)
+    )).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  function createRequest(userId, { date, hours, overtimeType, reason }) {
+    if (!parseLocalDateKey(date)) {
+      return { error: 'Date must be a valid YYYY-MM-DD date' };
+    }
+    if (!(Number(hours) > 0) || Number(hours) > 24) {
+      return { error: 'Hours must be more than 0 and at most 24' };
+    }
+    if (!overtimeTypes.includes(overtimeType)) {
+      return { error: `Overtime type must be one of: ${overtimeTypes.join(', ')}` };
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return { error: 'A reason is required' };
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      return { error: `The reason must be at most ${MAX_REASON_LENGTH} characters` };
+    }
+
+    const request = {
+      id: crypto.randomUUID(),
+      userId,
+      date,
+      hours: Number(hours),
+      overtimeType,
+      reason: reason.trim(),
+      status: 'pending',
+      createdAt: new Date()
+    };
+    store.put('overtimeRequests', request.id, request);
+    return { request };
+  }
+
+  // Approve (optionally for fewer hours) or reject a pending request
+  function decide(request, { approve, hours, note }, supervisorId) {
+    if (request.status !== 'pending') {
+      return { error: `This request has already been ${request.status}` };
+    }
+    if (request.userId === supervisorId) {
+      return { error: 'You can\'t decide on your own request' };
+    }
+
+    let approvedHours = null;
+    if (approve) {
+      approvedHours = hours === undefined || hours === null ? request.hours : Number(hours);
+      if (!(approvedHours > 0) || approvedHours > request.hours) {
+        return { error: `Approved hours must be more than 0 and at most the ${request.hours} requested` };
+      }
+    }
+
+    request.status = approve ? 'approved' : 'rejected';
+    request.approvedHours = approvedHours;
+    request.decisionNote = typeof note === 'string' && note.trim() ? note.trim() : null;
+    request.decidedBy = supervisorId;
+    request.decidedAt = new Date();
+    store.put('overtimeRequests', request.id, request);
+    return { request };
+  }
+
+  function cancel(request) {
+    if (request.status !== 'pending') {
+      return { error: `This request has already been ${request.status}` };
+    }
+    request.status = 'cancelled';
+    store.put('overtimeRequests', request.id, request);
+    return { request };
+  }
+
+  return {
+    getRequest,
+    listForUser,
+    listForUsers,
+    createRequest,
+    decide,
+    cancel
+  };
+}
+
+module.exports = {
+  STATUSES,
+  createOvertimeRequests
+};
@@ -0,0 +1,65 @@
+// Pay basis: how a worker's pay is quoted, and the one place it is turned
+// into the hourly rate that overtime multipliers apply to.
+//
+//   monthly - salary / (working days per month × daily hours)
+//   daily   - daily wage / daily hours
+//   hourly  - the hourly wage itself
+//
+// The monthly income equivalent (used for the tax estimate) assumes a full
+// month of working days at the given daily hours.
+
+const PAY_BASES = ['monthly', 'daily', 'hourly'];
+
+// Check the pay fields of a request body. `workingDaysPerMonth` falls back to
+// `defaultWorkingDays` (the pay policy's) when not given. Returns { pay } or
+// { error }.
+function parsePay(input, { defaultWorkingDays }) {
+  const basis = input.payBasis || 'monthly';
+  if (!PAY_BASES.includes(basis)) {
+    return { error: `Pay basis must be one of: ${PAY_BASES.join(', ')}` };
+  }
+
+  const amount = Number(input.payAmount);
+  if (!(amount > 0)) {
+    return { error: `Invalid ${basis} pay amount` };
+  }
+
+  const dailyHours = Number(input.dailyHours);
+  if (!(dailyHours > 0) || dailyHours > 24) {
+    return { error: 'Daily hours must be more than 0 and at most 24' };
+  }
+
+  const workingDaysPerMonth = input.workingDaysPerMonth === undefined || input.workingDaysPerMonth === null || input.workingDaysPerMonth === ''
+    ? defaultWorkingDays
+    : Number(input.workingDaysPerMonth);
+  if (!(workingDaysPerMonth > 0) || workingDaysPerMonth > 31) {
+    return { error: 'Working days per month must be more than 0 and at most 31' };
+  }
+
+  return {
+    pay: {
+      basis,
+      amount,
+      dailyHours,
+      workingDaysPerMonth,
+      ...convertPay(basis, amount, dailyHours, workingDaysPerMonth)
+    }
+  };
+}
+
+function convertPay(basis, amount, dailyHours, workingDaysPerMonth) {
+  const hoursPerMonth = workingDaysPerMonth * dailyHours;
+  switch (basis) {
+    case 'daily':
+      return { hourlyRate: amount / dailyHours, monthlyIncome: amount * workingDaysPerMonth };
+    case 'hourly':
+      return { hourlyRate: amount, monthlyIncome: amount * hoursPerMonth };
+    default:
+      return { hourlyRate: amount / hoursPerMonth, monthlyIncome: amount };
+  }
+}
+
+module.exports = {
+  PAY_BASES,
+  parsePay
+};
@@ -0,0 +1,124 @@
+// Minimal PDF writer for printable reports: text in the standard Helvetica
+// fonts and ruled lines on A4 pages. Built-in fonts need no embedding, so
+// the output is a plain PDF 1.4 file assembled in memory.
+
+const PAGE_WIDTH = 595.28; // A4 in points
+const PAGE_HEIGHT = 841.89;
+
+// Helvetica advance widths (per 1000 em) for ASCII 32-126, used to
+// right-align and centre text. Bold is slightly wider; the regular widths
+// are close enough for the numbers and labels in a report.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// The standard fonts only cover Latin-1; anything else prints as '?'
+function toLatin1(text) {
+  return String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+function textWidth(text, size) {
+  let units = 0;
+  for (const char of toLatin1(text)) {
+    units += HELVETICA_WIDTHS[char.charCodeAt(0) - 32] || 556;
+  }
+  return (units * size) / 1000;
+}
+
+function escapeText(text) {
+  return toLatin1(text).replace(/[\\()]/g, match => `\\${match}`);
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+// Page layout state plus drawing commands. Coordinates passed in are from
+// the top-left corner; PDF measures from the bottom-left.
+function createPdfDocument({ margin = 40 } = {}) {
+  const pages = [];
+  let commands = null;
+
+  function addPage() {
+    commands = [];
+    pages.push(commands);
+  }
+
+  function text(value, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+    if (!commands) addPage();
+    let left = x;
+    if (align === 'right') {
+      left = x - textWidth(value, size);
+    } else if (align === 'center') {
+      left = x - textWidth(value, size) / 2;
+    }
+    commands.push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(left)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapeText(value)}) Tj ET`
+    );
+  }
+
+  function line(x1, y1, x2, y2, width = 0.5) {
+    if (!commands) addPage();
+    commands.push(
+      `${width} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+    );
+  }
+
+  // Serialize to a Buffer: catalog, page tree, two fonts, then a page and a
+  // content stream per page, followed by the cross-reference table
+  function toBuffer() {
+    if (pages.length === 0) addPage();
+
+    const objects = [];
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    pages.forEach((pageCommands, index) => {
+      const pageId = pageIds[index];
+      const content = pageCommands.join('\n');
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(output, 'latin1');
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    margin,
+    addPage,
+    text,
+    line,
+    toBuffer
+  };
+}
+
+module.exports = {
+  createPdfDocument,
+  textWidth
+};
@@ -0,0 +1,162 @@
+// Pay policy profiles: overtime multipliers, limits, working days per month,
+// night hours and weekly rest day, loaded from the JSON or YAML files in a
+// config directory. Each file is one version of a named profile that applies
+// from its effective date, so a company can change its rules without
+// repricing the sessions worked under the old ones.
+//
+//   name: ethiopia-legal
+//   label: Labour Proclamation 1156/2019
+//   effectiveFrom: 2019-09-05
+//   multipliers: { normal, night, sunday, holiday }
+//   limits: { daily, weekly, yearly }
+//   workingDaysPerMonth: 30
+//   nightHours: { start: '22:00', end: '06:00' }   (optional)
+//   restDay: sunday                                 (optional)
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+const { parseClock } = require('./segments');
+const { localDateKey, parseLocalDateKey, parseWeekday } = require('./time');
+
+const OVERTIME_TYPES = ['normal', 'night', 'sunday', 'holiday'];
+const LIMIT_KEYS = {
+  daily: 'MAX_HOURS_PER_DAY',
+  weekly: 'MAX_HOURS_PER_WEEK',
+  yearly: 'MAX_HOURS_PER_YEAR'
+};
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+function readProfileFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text);
+}
+
+// Check a profile file and turn it into a profile version. `defaults` fill
+// in the night hours and rest day when a profile doesn't set them.
+function buildVersion(raw, source, defaults) {
+  const fail = message => {
+    throw new Error(`Policy profile ${source}: ${message}`);
+  };
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    fail('must be a mapping of settings');
+  }
+  if (typeof raw.name !== 'string' || !PROFILE_NAME_PATTERN.test(raw.name)) {
+    fail('"name" must be lowercase letters, digits and dashes');
+  }
+  const effectiveFrom = String(raw.effectiveFrom || '');
+  if (!parseLocalDateKey(effectiveFrom)) {
+    fail('"effectiveFrom" must be a YYYY-MM-DD date');
+  }
+
+  const multipliers = {};
+  OVERTIME_TYPES.forEach(type => {
+    const value = raw.multipliers && raw.multipliers[type];
+    if (!(typeof value === 'number' && value >= 1)) {
+      fail(`"multipliers.${type}" must be a number of at least 1`);
+    }
+    multipliers[type] = value;
+  });
+
+  const limits = {};
+  Object.entries(LIMIT_KEYS).forEach(([key, name]) => {
+    const value = raw.limits && raw.limits[key];
+    if (!(typeof value === 'number' && value > 0)) {
+      fail(`"limits.${key}" must be a number of hours above 0`);
+    }
+    limits[name] = value;
+  });
+
+  const workingDaysPerMonth = raw.workingDaysPerMonth;
+  if (!(typeof workingDaysPerMonth === 'number' && workingDaysPerMonth > 0 && workingDaysPerMonth <= 31)) {
+    fail('"workingDaysPerMonth" must be a number of days from 1 to 31');
+  }
+
+  const nightHours = raw.nightHours || {};
+  const nightStart = parseClock(nightHours.start, null);
+  const nightEnd = parseClock(nightHours.end, null);
+  if ((nightHours.start !== undefined && nightStart === null) || (nightHours.end !== undefined && nightEnd === null)) {
+    fail('"nightHours.start" and "nightHours.end" must be HH:MM times');
+  }
+  const restDay = parseWeekday(raw.restDay, null);
+  if (raw.restDay !== undefined && restDay === null) {
+    fail('"restDay" must be a weekday name');
+  }
+
+  return {
+    id: `${raw.name}@${effectiveFrom}`,
+    name: raw.name,
+    label: typeof raw.label === 'string' ? raw.label : raw.name,
+    effectiveFrom,
+    multipliers,
+    limits,
+    workingDaysPerMonth,
+    nightStart: nightStart ?? defaults.nightStart,
+    nightEnd: nightEnd ?? defaults.nightEnd,
+    restDay: restDay ?? defaults.restDay
+  };
+}
+
+// Load every profile in `dir`. Throws when a file is invalid, when two files
+// give the same profile the same effective date, or when `defaultProfile`
+// doesn't exist, so a bad config stops the server at startup.
+function loadPolicies({ dir, defaultProfile, defaults }) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Policy directory ${dir} does not exist`);
+  }
+
+  const profiles = new Map(); // name -> versions, oldest first
+  fs.readdirSync(dir)
+    .filter(file => /\.(json|ya?ml)$/i.test(file))
+    .sort()
+    .forEach(file => {
+      let raw;
+      try {
+        raw = readProfileFile(path.join(dir, file));
+      } catch (error) {
+        throw new Error(`Policy profile ${file}: ${error.message}`);
+      }
+      const version = buildVersion(raw, file, defaults);
+      const versions = profiles.get(version.name) || [];
+      if (versions.some(existing => existing.id === version.id)) {
+        throw new Error(`Policy profile ${file}: ${version.name} already has a version effective from ${version.effectiveFrom}`);
+      }
+      versions.push(version);
+      versions.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+      profiles.set(version.name, versions);
+    });
+
+  if (!profiles.has(defaultProfile)) {
+    throw new Error(`Default policy profile "${defaultProfile}" not found in ${dir}`);
+  }
+
+  // The version of a profile in effect on the local date of `at`. Dates
+  // before the first version use the first version.
+  function resolve(name, at = new Date()) {
+    const versions = profiles.get(profiles.has(name) ? name : defaultProfile);
+    const day = localDateKey(at);
+    return versions.filter(version => version.effectiveFrom <= day).pop() || versions[0];
+  }
+
+  // Every profile with its versions, for display
+  function list() {
+    return Array.from(profiles.entries()).map(([name, versions]) => ({
+      name,
+      label: versions[versions.length - 1].label,
+      versions
+    }));
+  }
+
+  return {
+    defaultProfile,
+    has: name => profiles.has(name),
+    resolve,
+    list
+  };
+}
+
+module.exports = {
+  OVERTIME_TYPES,
+  loadPolicies
+};
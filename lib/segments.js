@@ -0,0 +1,101 @@
+// Splits worked time into rate segments. A session switches multiplier when
+// it crosses into or out of night hours, onto the weekly rest day or onto a
+// public holiday. The chosen overtime type is a floor: a segment is paid at
+// the highest multiplier among the chosen type and every type that applies.
+
+const { MS_PER_HOUR, addDays, localParts, startOfLocalDay } = require('./time');
+
+const MS_PER_MINUTE = 60 * 1000;
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// 'HH:MM' -> minutes after midnight
+function parseClock(value, fallback) {
+  const match = CLOCK_PATTERN.exec(String(value || '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : fallback;
+}
+
+function isNightMinute(minute, nightStart, nightEnd) {
+  if (nightStart === nightEnd) {
+    return false;
+  }
+  return nightStart > nightEnd
+    ? minute >= nightStart || minute < nightEnd // window crosses midnight
+    : minute >= nightStart && minute < nightEnd;
+}
+
+// schedule: { multipliers, nightStart, nightEnd, restDay, holidayOn(date) }
+function classifyInstant(date, baseType, schedule) {
+  const { weekday, hour, minute } = localParts(date);
+  const candidates = [baseType];
+
+  if (schedule.holidayOn(date)) {
+    candidates.push('holiday');
+  }
+  if (weekday === schedule.restDay) {
+    candidates.push('sunday');
+  }
+  if (isNightMinute(hour * 60 + minute, schedule.nightStart, schedule.nightEnd)) {
+    candidates.push('night');
+  }
+
+  return candidates.reduce((best, type) => (
+    (schedule.multipliers[type] || 0) > (schedule.multipliers[best] || 0) ? type : best
+  ));
+}
+
+// Next instant after `date` where the applicable type could change
+function nextBoundary(date, schedule) {
+  const dayStart = startOfLocalDay(date);
+  return [
+    new Date(dayStart.getTime() + schedule.nightStart * MS_PER_MINUTE),
+    new Date(dayStart.getTime() + schedule.nightEnd * MS_PER_MINUTE),
+    addDays(dayStart, 1)
+  ]
+    .filter(boundary => boundary > date)
+    .reduce((earliest, boundary) => (boundary < earliest ? boundary : earliest));
+}
+
+// Rate segments for worked intervals [{ start, end }]. Neighbouring pieces
+// with the same type are merged, but never across a gap between intervals.
+function segmentIntervals(intervals, baseType, hourlyRate, schedule) {
+  const segments = [];
+
+  intervals.forEach(({ start, end }) => {
+    let cursor = new Date(start);
+    let previous = null;
+
+    while (cursor < end) {
+      const boundary = nextBoundary(cursor, schedule);
+      const pieceEnd = boundary < end ? boundary : new Date(end);
+      const type = classifyInstant(cursor, baseType, schedule);
+
+      if (previous && previous.type === type) {
+        previous.end = pieceEnd;
+      } else {
+        previous = { type, start: cursor, end: pieceEnd };
+        segments.push(previous);
+      }
+      cursor = pieceEnd;
+    }
+  });
+
+  return segments.map(segment => {
+    const multiplier = schedule.multipliers[segment.type] || 1.5;
+    const hours = (segment.end - segment.start) / MS_PER_HOUR;
+    return {
+      type: segment.type,
+      multiplier,
+      start: segment.start,
+      end: segment.end,
+      hours,
+      rate: hourlyRate * multiplier,
+      subtotal: hourlyRate * multiplier * hours
+    };
+  });
+}
+
+module.exports = {
+  parseClock,
+  classifyInstant,
+  segmentIntervals
+};
@@ -0,0 +1,91 @@
+// Signed session tokens. A live session's token carries everything needed to
+// work out its earnings (start time, rate, type, planned hours, breaks and
+// the pay policy's rate schedule), signed with HMAC-SHA256. The server can
+// then answer for a session it has no record of, as happens on serverless
+// deployments where memory and files don't survive between requests.
+//
+// Tokens expire after a day, so one that has leaked (or outlived its
+// session) stops working; the server hands out a fresh one on pause, resume
+// and GET /api/active-session.
+//
+// The token format is that of lib/signed-token.js.
+
+const { createSigner } = require('./signed-token');
+
+const TOKEN_VERSION = 2;
+const SESSION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+
+function createSessionTokens(secret, { ttlMs = SESSION_TOKEN_TTL_MS } = {}) {
+  const signer = createSigner(secret, 'session');
+
+  // The token for the current state of a live session. Reissue it whenever
+  // the breaks change.
+  function sign(session, now = Date.now()) {
+    const payload = {
+      v: TOKEN_VERSION,
+      exp: now + ttlMs,
+      sid: session.id,
+      uid: session.userId,
+      start: new Date(session.startTime).getTime(),
+      rate: session.hourlyRate,
+      type: session.overtimeType,
+      hours: session.totalHours || null,
+      breaks: (session.breaks || []).map(pause => [
+        new Date(pause.start).getTime(),
+        pause.end ? new Date(pause.end).getTime() : null
+      ]),
+      policy: session.policy,
+      salary: session.monthlySalary || null,
+      holiday: session.holiday || null,
+      requestId: session.requestId || null,
+      workdayId: session.workdayId || null,
+      emergency: session.emergency || null
+    };
+    return signer.sign(payload);
+  }
+
+  // The payload of a token with a valid signature that hasn't expired, or
+  // null
+  function verify(token, now = Date.now()) {
+    const payload = signer.verify(token);
+    return payload && payload.v === TOKEN_VERSION && payload.exp > now ? payload : null;
+  }
+
+  // A running session record rebuilt from a verified payload
+  function sessionFromPayload(payload) {
+    return {
+      id: payload.sid,
+      userId: payload.uid,
+      hourlyRate: payload.rate,
+      overtimeType: payload.type,
+      holiday: payload.holiday,
+      totalHours: payload.hours,
+      isOpenEnded: !payload.hours,
+      workdayId: payload.workdayId,
+      monthlySalary: payload.salary,
+      requestId: payload.requestId,
+      emergency: payload.emergency,
+      policy: payload.policy,
+      startTime: new Date(payload.start),
+      breaks: payload.breaks.map(([start, end]) => ({
+        start: new Date(start),
+        end: end === null ? null : new Date(end)
+      })),
+      isPaused: payload.breaks.some(([, end]) => end === null),
+      isActive: true,
+      currentEarnings: 0,
+      warnings: []
+    };
+  }
+
+  return {
+    sign,
+    verify,
+    sessionFromPayload
+  };
+}
+
+module.exports = {
+  SESSION_TOKEN_TTL_MS,
+  createSessionTokens
+};
@@ -0,0 +1,140 @@
+// Session history export and import as JSON or CSV. Exports carry the full
+// session records; imports only read the times, type, rate, breaks,
+// emergency details and overtime request of each row, since pay and totals
+// are always recomputed on the server.
+
+const { csvLine, parseCsv } = require('./csv');
+
+const MAX_IMPORT_ROWS = 2000;
+
+const CSV_COLUMNS = [
+  'id', 'startTime', 'endTime', 'overtimeType', 'hourlyRate', 'plannedHours',
+  'actualHours', 'pay', 'holiday', 'breaks', 'isManual', 'emergencyCategory',
+  'emergencyJustification', 'requestId'
+];
+
+// Columns an imported CSV must have
+const REQUIRED_COLUMNS = ['startTime', 'endTime', 'overtimeType', 'hourlyRate'];
+
+// A session record without the owner, for export
+function exportRecord(session) {
+  const { userId, ...record } = session;
+  return record;
+}
+
+// Breaks in a CSV cell: 'start/end' pairs of ISO times separated by ';'
+function formatBreaks(breaks) {
+  return (breaks || [])
+    .filter(pause => pause.end)
+    .map(pause => `${new Date(pause.start).toISOString()}/${new Date(pause.end).toISOString()}`)
+    .join(';');
+}
+
+function parseBreakCell(cell) {
+  if (!cell || !cell.trim()) {
+    return [];
+  }
+  return cell.split(';').map(pair => {
+    const [start, end] = pair.split('/');
+    return { start: start && start.trim(), end: end && end.trim() };
+  });
+}
+
+function toCsv(sessions) {
+  const lines = [csvLine(CSV_COLUMNS)];
+  sessions.forEach(session => {
+    lines.push(csvLine([
+      session.id,
+      new Date(session.startTime).toISOString(),
+      session.endTime ? new Date(session.endTime).toISOString() : '',
+      session.overtimeType,
+      session.hourlyRate,
+      session.totalHours ?? '',
+      session.actualHours ?? '',
+      session.finalPay ?? '',
+      session.holiday || '',
+      formatBreaks(session.breaks),
+      session.isManual ? 'yes' : '',
+      session.emergency ? session.emergency.category : '',
+      session.emergency ? session.emergency.justification : '',
+      session.requestId || ''
+    ]));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function rowsFromCsv(text) {
+  const records = parseCsv(text).filter(record => record.some(field => field.trim() !== ''));
+  if (records.length === 0) {
+    return { error: 'The CSV file is empty' };
+  }
+
+  const header = records[0].map(name => name.trim());
+  const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return { error: `The CSV header is missing: ${missing.join(', ')}` };
+  }
+
+  const column = name => header.indexOf(name);
+  const cell = (record, name) => (column(name) >= 0 ? (record[column(name)] || '').trim() : '');
+  return {
+    rows: records.slice(1).map((record, index) => ({
+      row: index + 2, // line in the file, after the header
+      input: {
+        startTime: record[column('startTime')],
+        endTime: record[column('endTime')],
+        overtimeType: (record[column('overtimeType')] || '').trim(),
+        hourlyRate: Number(record[column('hourlyRate')]),
+        breaks: column('breaks') >= 0 ? parseBreakCell(record[column('breaks')]) : undefined,
+        emergency: cell(record, 'emergencyCategory')
+          ? { category: cell(record, 'emergencyCategory'), justification: cell(record, 'emergencyJustification') }
+          : null,
+        requestId: cell(record, 'requestId') || null
+      }
+    }))
+  };
+}
+
+function rowsFromJson(sessions) {
+  return {
+    rows: sessions.map((session, index) => ({
+      row: index + 1,
+      input: session && typeof session === 'object'
+        ? {
+          startTime: session.startTime,
+          endTime: session.endTime,
+          overtimeType: session.overtimeType,
+          hourlyRate: Number(session.hourlyRate),
+          breaks: session.breaks,
+          emergency: session.emergency || null,
+          requestId: session.requestId || null
+        }
+        : {}
+    }))
+  };
+}
+
+// Rows to import from a request body: { sessions: [...] } (the JSON export)
+// or { csv: '...' }. Returns { rows: [{ row, input }] } or { error }.
+function parseImport(body = {}) {
+  let result;
+  if (Array.isArray(body.sessions)) {
+    result = rowsFromJson(body.sessions);
+  } else if (typeof body.csv === 'string') {
+    result = rowsFromCsv(body.csv);
+  } else {
+    return { error: 'Send the sessions as a JSON "sessions" list or as "csv" text' };
+  }
+
+  if (result.rows && result.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} sessions can be imported at once` };
+  }
+  return result;
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  exportRecord,
+  toCsv,
+  parseImport
+};
@@ -0,0 +1,69 @@
+// Per-user preferences, stored on the user record.
+
+const { WEEKDAYS } = require('./time');
+const { DEFAULT_ALERTS, validateAlerts } = require('./alerts');
+
+const CALENDARS = ['gregorian', 'ethiopian'];
+
+const DEFAULT_SETTINGS = {
+  calendar: 'gregorian', // Calendar used to display dates
+  policyProfile: null, // Pay policy profile, assigned by an admin; null uses the server default
+  restDay: null, // Weekly rest day ('friday'), assigned by an admin; null uses the pay policy's
+  alerts: DEFAULT_ALERTS // Alert rules for running sessions (see lib/alerts.js)
+};
+
+function getUserSettings(user) {
+  return { ...DEFAULT_SETTINGS, ...(user.settings || {}) };
+}
+
+// Validate a partial settings update from the user; unknown keys are
+// ignored. The pay policy profile and rest day aren't the user's to choose
+// (see validatePolicyProfile and validateRestDay).
+function validateSettingsUpdate(input = {}) {
+  const settings = {};
+
+  if (input.calendar !== undefined) {
+    if (!CALENDARS.includes(input.calendar)) {
+      return { error: `Calendar must be one of: ${CALENDARS.join(', ')}` };
+    }
+    settings.calendar = input.calendar;
+  }
+
+  if (input.alerts !== undefined) {
+    const { alerts, error } = validateAlerts(input.alerts);
+    if (error) {
+      return { error };
+    }
+    settings.alerts = alerts;
+  }
+
+  return { settings };
+}
+
+// Validate a pay policy profile an admin assigns to a user: one of the
+// names in `policyProfiles`, or null for the server default.
+// Returns { policyProfile } or { error }.
+function validatePolicyProfile(policyProfile, policyProfiles) {
+  if (policyProfile !== null && !policyProfiles.includes(policyProfile)) {
+    return { error: `Pay policy profile must be one of: ${policyProfiles.join(', ')}` };
+  }
+  return { policyProfile };
+}
+
+// Validate a weekly rest day an admin assigns to a user: a weekday name, or
+// null for the pay policy's. Work on the rest day earns the rest day rate.
+// Returns { restDay } or { error }.
+function validateRestDay(restDay) {
+  if (restDay !== null && !WEEKDAYS.includes(restDay)) {
+    return { error: `Weekly rest day must be one of: ${WEEKDAYS.join(', ')}` };
+  }
+  return { restDay };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getUserSettings,
+  validateSettingsUpdate,
+  validatePolicyProfile,
+  validateRestDay
+};
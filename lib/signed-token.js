@@ -0,0 +1,53 @@
+// Tokens that carry a JSON payload signed with HMAC-SHA256, so any server
+// holding the secret can trust them without a record of its own. Used for
+// live session tokens (lib/session-token.js) and login tokens (lib/auth.js).
+// Each kind has its own `type`, signed into the payload as `typ`, so one
+// kind of token is never accepted as another.
+//
+// Format: base64url(JSON payload) + '.' + base64url(signature)
+
+const crypto = require('crypto');
+
+function createSigner(secret, type) {
+  function signature(body) {
+    return crypto.createHmac('sha256', secret).update(body).digest();
+  }
+
+  function sign(payload) {
+    const body = Buffer.from(JSON.stringify({ ...payload, typ: type })).toString('base64url');
+    return `${body}.${signature(body).toString('base64url')}`;
+  }
+
+  // The payload of a token of this type with a valid signature, or null
+  function verify(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+    const [body, sent] = token.split('.');
+    if (!body || !sent) {
+      return null;
+    }
+
+    const expected = signature(body);
+    const actual = Buffer.from(sent, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return payload && payload.typ === type ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    sign,
+    verify
+  };
+}
+
+module.exports = {
+  createSigner
+};
@@ -0,0 +1,315 @@
+// Overtime statements for a pay period: one row per session and rate type,
+// subtotals per overtime type and a grand total, exported as CSV or PDF for
+// claiming overtime from HR.
+
+const EthiopianCalendar = require('../shared/ethiopian-calendar');
+const { MS_PER_DAY, localMidnight, localParts, localDateKey, parseLocalDateKey } = require('./time');
+const { createPdfDocument } = require('./pdf');
+const { csvLine } = require('./csv');
+const { emergencyLabel } = require('./emergency');
+
+const TYPE_LABELS = {
+  normal: 'Normal day',
+  night: 'Night',
+  sunday: 'Weekly rest day',
+  holiday: 'Public holiday'
+};
+
+function typeLabel(type) {
+  return TYPE_LABELS[type] || type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+// Pay period from 'YYYY-MM-DD' dates, both inclusive. Defaults to the
+// local calendar month containing `now`. Returns { from, to, start, end }
+// with `end` exclusive, or { error }.
+function parsePeriod({ from, to } = {}, now = new Date()) {
+  const { year, month } = localParts(now);
+  const monthStart = localMidnight(year, month, 1);
+  const nextMonthStart = localMidnight(month === 12 ? year + 1 : year, month === 12 ? 1 : month + 1, 1);
+
+  const start = from ? parseLocalDateKey(from) : monthStart;
+  const last = to ? parseLocalDateKey(to) : new Date(nextMonthStart.getTime() - MS_PER_DAY);
+  if (!start || !last) {
+    return { error: 'Dates must be valid YYYY-MM-DD dates' };
+  }
+  if (last < start) {
+    return { error: 'The end of the period must not be before its start' };
+  }
+
+  return {
+    from: localDateKey(start),
+    to: localDateKey(last),
+    start,
+    end: new Date(last.getTime() + MS_PER_DAY)
+  };
+}
+
+function formatDateKey(key, calendar) {
+  if (calendar !== 'ethiopian') {
+    return key;
+  }
+  const [year, month, day] = key.split('-').map(Number);
+  return EthiopianCalendar.format(EthiopianCalendar.toEthiopian(year, month, day));
+}
+
+function formatClock(date) {
+  const { hour, minute } = localParts(date);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// Longest note printed under a row of the PDF
+const MAX_PDF_NOTE_LENGTH = 120;
+
+function sessionNotes(session) {
+  const notes = [];
+  if (session.emergency) notes.push(`EMERGENCY: ${emergencyLabel(session.emergency.category)}`);
+  if (session.holiday) notes.push(session.holiday);
+  if (session.isProrated) notes.push('stopped early');
+  if (session.isManual) notes.push('entered manually');
+  return notes.join('; ');
+}
+
+// Rows for one completed session: one per rate type it was paid at
+function sessionRows(session, calendar) {
+  const byType = new Map();
+  const segments = session.segments && session.segments.length > 0
+    ? session.segments
+    : [{ // sessions without stored segments were paid at one rate
+      type: session.overtimeType,
+      multiplier: session.calculation.multiplier,
+      hours: session.actualHours ?? (session.duration || 0) / 3600,
+      subtotal: session.finalPay ?? session.currentEarnings ?? 0
+    }];
+
+  segments.forEach(segment => {
+    const row = byType.get(segment.type) || { type: segment.type, multiplier: segment.multiplier, hours: 0, pay: 0 };
+    row.hours += segment.hours;
+    row.pay += segment.subtotal;
+    byType.set(segment.type, row);
+  });
+
+  const dateKey = localDateKey(session.startTime);
+  return Array.from(byType.values()).map(row => ({
+    sessionId: session.id,
+    date: dateKey,
+    displayDate: formatDateKey(dateKey, calendar),
+    start: formatClock(session.startTime),
+    end: formatClock(session.endTime),
+    type: row.type,
+    typeLabel: typeLabel(row.type),
+    multiplier: row.multiplier,
+    hours: row.hours,
+    hourlyRate: session.hourlyRate,
+    pay: row.pay,
+    policy: session.policy ? session.policy.id : '',
+    emergency: session.emergency ? emergencyLabel(session.emergency.category) : null,
+    justification: session.emergency ? session.emergency.justification : '',
+    notes: sessionNotes(session)
+  }));
+}
+
+// Statement of the completed sessions that started within the period
+function buildStatement(sessions, period, { multipliers, user, calendar = 'gregorian', now = new Date() }) {
+  const included = sessions
+    .filter(session => !session.isActive && session.endTime)
+    .filter(session => new Date(session.startTime) >= period.start && new Date(session.startTime) < period.end)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  const rows = included.flatMap(session => sessionRows(session, calendar));
+
+  // One subtotal per type and multiplier: every type at the current
+  // multipliers, plus any other multiplier an older pay policy paid
+  const subtotals = Object.entries(multipliers).map(([type, multiplier]) => ({
+    type,
+    typeLabel: typeLabel(type),
+    multiplier,
+    hours: 0,
+    pay: 0
+  }));
+  rows.forEach(row => {
+    let subtotal = subtotals.find(item => item.type === row.type && item.multiplier === row.multiplier);
+    if (!subtotal) {
+      subtotal = { type: row.type, typeLabel: typeLabel(row.type), multiplier: row.multiplier, hours: 0, pay: 0 };
+      subtotals.push(subtotal);
+    }
+    subtotal.hours += row.hours;
+    subtotal.pay += row.pay;
+  });
+  const typeOrder = Object.keys(multipliers);
+  subtotals.sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.multiplier - b.multiplier);
+
+  const emergencyRows = rows.filter(row => row.emergency);
+
+  return {
+    employee: user.username,
+    from: period.from,
+    to: period.to,
+    displayFrom: formatDateKey(period.from, calendar),
+    displayTo: formatDateKey(period.to, calendar),
+    generatedAt: now,
+    sessionCount: included.length,
+    rows,
+    subtotals,
+    total: {
+      hours: rows.reduce((sum, row) => sum + row.hours, 0),
+      pay: rows.reduce((sum, row) => sum + row.pay, 0)
+    },
+    // Emergency overtime is paid like any other, but isn't counted towards
+    // the legal limits, so HR sees it on its own line
+    emergency: {
+      hours: emergencyRows.reduce((sum, row) => sum + row.hours, 0),
+      pay: emergencyRows.reduce((sum, row) => sum + row.pay, 0)
+    }
+  };
+}
+
+function toCsv(statement) {
+  const lines = [
+    csvLine(['Overtime statement']),
+    csvLine(['Employee', statement.employee]),
+    csvLine(['Period', statement.displayFrom, statement.displayTo]),
+    '',
+    csvLine(['Date', 'Start', 'End', 'Type', 'Multiplier', 'Hours', 'Hourly rate (ETB)', 'Pay (ETB)', 'Notes', 'Emergency justification', 'Pay policy'])
+  ];
+
+  statement.rows.forEach(row => {
+    lines.push(csvLine([
+      row.displayDate, row.start, row.end, row.typeLabel, row.multiplier,
+      row.hours.toFixed(2), row.hourlyRate.toFixed(2), row.pay.toFixed(2), row.notes, row.justification, row.policy
+    ]));
+  });
+
+  lines.push('', csvLine(['Subtotals by type']), csvLine(['Type', 'Multiplier', 'Hours', 'Pay (ETB)']));
+  statement.subtotals.forEach(subtotal => {
+    lines.push(csvLine([subtotal.typeLabel, subtotal.multiplier, subtotal.hours.toFixed(2), subtotal.pay.toFixed(2)]));
+  });
+  lines.push(csvLine(['Total', '', statement.total.hours.toFixed(2), statement.total.pay.toFixed(2)]));
+  if (statement.emergency.hours > 0) {
+    lines.push(csvLine([
+      'Of which emergency (not counted towards limits)', '',
+      statement.emergency.hours.toFixed(2), statement.emergency.pay.toFixed(2)
+    ]));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Column layout of the session table: x is the left edge, or the right edge
+// for right-aligned columns
+const PDF_COLUMNS = [
+  { key: 'displayDate', title: 'Date', x: 40 },
+  { key: 'time', title: 'Time', x: 150 },
+  { key: 'typeLabel', title: 'Type', x: 225 },
+  { key: 'multiplier', title: 'Rate', x: 335, align: 'right' },
+  { key: 'hours', title: 'Hours', x: 385, align: 'right' },
+  { key: 'hourlyRate', title: 'Hourly (ETB)', x: 460, align: 'right' },
+  { key: 'pay', title: 'Pay (ETB)', x: 555, align: 'right' }
+];
+
+function pdfCells(row) {
+  return {
+    displayDate: row.displayDate,
+    time: `${row.start}-${row.end}`,
+    typeLabel: row.typeLabel,
+    multiplier: `${row.multiplier}x`,
+    hours: row.hours.toFixed(2),
+    hourlyRate: row.hourlyRate.toFixed(2),
+    pay: row.pay.toFixed(2)
+  };
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+function toPdf(statement) {
+  const doc = createPdfDocument();
+  const bottom = doc.height - doc.margin;
+  const right = doc.width - doc.margin;
+  let y = doc.margin;
+
+  function tableHeader() {
+    PDF_COLUMNS.forEach(column => {
+      doc.text(column.title, column.x, y, { size: 9, bold: true, align: column.align });
+    });
+    doc.line(doc.margin, y + 5, right, y + 5);
+    y += 18;
+  }
+
+  function newPage() {
+    doc.addPage();
+    y = doc.margin;
+  }
+
+  newPage();
+  doc.text('Overtime Statement', doc.margin, y + 10, { size: 18, bold: true });
+  y += 35;
+  doc.text(`Employee: ${statement.employee}`, doc.margin, y);
+  y += 15;
+  doc.text(`Pay period: ${statement.displayFrom} to ${statement.displayTo}`, doc.margin, y);
+  y += 15;
+  doc.text(`Generated: ${statement.generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`, doc.margin, y, { size: 8 });
+  y += 30;
+
+  tableHeader();
+  if (statement.rows.length === 0) {
+    doc.text('No overtime recorded in this period.', doc.margin, y);
+    y += 15;
+  }
+  statement.rows.forEach(row => {
+    if (y > bottom - (row.notes ? 24 : 12) - (row.justification ? 10 : 0)) {
+      newPage();
+      tableHeader();
+    }
+    const cells = pdfCells(row);
+    PDF_COLUMNS.forEach(column => {
+      doc.text(cells[column.key], column.x, y, { size: 9, align: column.align });
+    });
+    if (row.notes) {
+      y += 11;
+      doc.text(row.notes, 225, y, { size: 7 });
+    }
+    if (row.justification) {
+      y += 10;
+      doc.text(truncate(`Justification: ${row.justification}`, MAX_PDF_NOTE_LENGTH), 225, y, { size: 7 });
+    }
+    y += 14;
+  });
+
+  // Subtotals and total stay together on one page
+  if (y > bottom - 56 - statement.subtotals.length * 14) {
+    newPage();
+  }
+  y += 10;
+  doc.line(doc.margin, y, right, y);
+  y += 18;
+  doc.text('Subtotals by type', doc.margin, y, { size: 11, bold: true });
+  y += 18;
+  statement.subtotals.forEach(subtotal => {
+    doc.text(subtotal.typeLabel, 225, y, { size: 9 });
+    doc.text(`${subtotal.multiplier}x`, 335, y, { size: 9, align: 'right' });
+    doc.text(subtotal.hours.toFixed(2), 385, y, { size: 9, align: 'right' });
+    doc.text(subtotal.pay.toFixed(2), 555, y, { size: 9, align: 'right' });
+    y += 14;
+  });
+  doc.line(225, y - 6, right, y - 6);
+  y += 8;
+  doc.text('Total', 225, y, { size: 10, bold: true });
+  doc.text(statement.total.hours.toFixed(2), 385, y, { size: 10, bold: true, align: 'right' });
+  doc.text(`ETB ${statement.total.pay.toFixed(2)}`, 555, y, { size: 10, bold: true, align: 'right' });
+  if (statement.emergency.hours > 0) {
+    y += 16;
+    doc.text('Of which emergency (not counted towards limits)', 225, y, { size: 9 });
+    doc.text(statement.emergency.hours.toFixed(2), 385, y, { size: 9, align: 'right' });
+    doc.text(`ETB ${statement.emergency.pay.toFixed(2)}`, 555, y, { size: 9, align: 'right' });
+  }
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  parsePeriod,
+  buildStatement,
+  toCsv,
+  toPdf
+};
@@ -0,0 +1,29 @@
+// Storage layer entry point. Pick a backend with STORAGE_DRIVER:
+//   json   - JSON file at DATA_FILE (default)
+//   memory - nothing survives a restart (handy for local experiments)
+
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { createJsonStore } = require('./json-store');
+const { migrate } = require('./migrations');
+
+// Serverless platforms only allow writes under the temp directory
+const DEFAULT_DATA_DIR = process.env.VERCEL
+  ? path.join(os.tmpdir(), 'overtime-clock')
+  : path.join(__dirname, '..', '..', 'data');
+
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'json';
+
+  switch (driver) {
+    case 'json':
+      return createJsonStore(options.file || process.env.DATA_FILE || path.join(DEFAULT_DATA_DIR, 'overtime-clock.json'));
+    case 'memory':
+      return createMemoryStore(migrate({}).collections);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,52 @@
+// JSON-file storage backend. Keeps everything in memory and rewrites the
+// file after every change, so it suits a single server process.
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { migrate } = require('./migrations');
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Turn ISO timestamps back into Date objects so session maths keeps working
+function reviveDates(key, value) {
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    return new Date(value);
+  }
+  return value;
+}
+
+function readDataFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'), reviveDates);
+}
+
+function writeDataFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Write to a temp file first so a crash never leaves a half-written store
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+function createJsonStore(filePath) {
+  const { schemaVersion, collections, migrated } = migrate(readDataFile(filePath));
+  const store = createMemoryStore(collections);
+
+  store.persist = function() {
+    writeDataFile(filePath, {
+      schemaVersion,
+      collections: store.toJSON()
+    });
+  };
+
+  if (migrated) {
+    store.persist();
+  }
+
+  return store;
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,73 @@
+// In-memory storage backend. Also the base the JSON-file backend builds on.
+
+function createMemoryStore(initialCollections = {}) {
+  const collections = new Map();
+
+  Object.entries(initialCollections).forEach(([name, records]) => {
+    collections.set(name, new Map(Object.entries(records || {})));
+  });
+
+  function getCollection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  }
+
+  return {
+    get(collection, id) {
+      return getCollection(collection).get(String(id)) || null;
+    },
+
+    list(collection, filter) {
+      const records = Array.from(getCollection(collection).values());
+      return filter ? records.filter(filter) : records;
+    },
+
+    put(collection, id, record) {
+      getCollection(collection).set(String(id), record);
+      this.persist();
+      return record;
+    },
+
+    remove(collection, id) {
+      const removed = getCollection(collection).delete(String(id));
+      if (removed) {
+        this.persist();
+      }
+      return removed;
+    },
+
+    // Run `fn` with saving deferred, then save once if anything changed.
+    // Used for bulk changes such as imports.
+    batch(fn) {
+      const persist = this.persist;
+      let changed = false;
+      this.persist = () => {
+        changed = true;
+      };
+      try {
+        return fn();
+      } finally {
+        this.persist = persist;
+        if (changed) {
+          this.persist();
+        }
+      }
+    },
+
+    // Plain-object snapshot of every collection, used for serialization
+    toJSON() {
+      const snapshot = {};
+      collections.forEach((records, name) => {
+        snapshot[name] = Object.fromEntries(records);
+      });
+      return snapshot;
+    },
+
+    // Nothing to flush for the memory backend
+    persist() {}
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,155 @@
+// Schema migrations for persisted data.
+// Each migration receives the raw `collections` object and mutates it in place.
+// Append new migrations to the end; never edit one that has already shipped.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create sessions and overtime tracking collections',
+    up(collections) {
+      collections.sessions = collections.sessions || {};
+      collections.overtimeTracking = collections.overtimeTracking || {};
+    }
+  },
+  {
+    version: 2,
+    description: 'Add user accounts and tag existing sessions with the legacy default user',
+    up(collections) {
+      collections.users = collections.users || {};
+      collections.authTokens = collections.authTokens || {};
+      Object.values(collections.sessions).forEach(session => {
+        session.userId = session.userId || 'default';
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Drop running overtime totals (now derived from session timestamps)',
+    up(collections) {
+      delete collections.overtimeTracking;
+    }
+  },
+  {
+    version: 4,
+    description: 'Record actual hours and final pay on completed sessions',
+    up(collections) {
+      Object.values(collections.sessions)
+        .filter(session => !session.isActive && session.actualHours === undefined)
+        .forEach(session => {
+          const plannedSeconds = session.totalHours ? session.totalHours * 3600 : Infinity;
+          const workedSeconds = Math.min(session.duration || 0, plannedSeconds);
+          session.actualHours = workedSeconds / 3600;
+          session.finalPay = session.calculation.ratePerSecond * workedSeconds;
+          session.currentEarnings = session.finalPay;
+          session.isProrated = Boolean(session.totalHours) && workedSeconds < plannedSeconds;
+        });
+    }
+  },
+  {
+    version: 5,
+    description: 'Add public holiday overrides',
+    up(collections) {
+      collections.holidayOverrides = collections.holidayOverrides || {};
+    }
+  },
+  {
+    version: 6,
+    description: 'Add teams',
+    up(collections) {
+      collections.teams = collections.teams || {};
+    }
+  },
+  {
+    version: 7,
+    description: 'Add overtime pre-approval requests',
+    up(collections) {
+      collections.overtimeRequests = collections.overtimeRequests || {};
+    }
+  },
+  {
+    version: 8,
+    description: 'Add the audit log',
+    up(collections) {
+      collections.auditLog = collections.auditLog || {};
+    }
+  },
+  {
+    version: 9,
+    description: 'Record the pay policy that priced existing sessions',
+    up(collections) {
+      // Sessions before policy profiles were priced at the legal multipliers
+      // that used to be built in; night hours and rest day stay as configured
+      Object.values(collections.sessions || {}).forEach(session => {
+        if (!session.policy) {
+          session.policy = {
+            id: 'ethiopia-legal@2019-09-05',
+            name: 'ethiopia-legal',
+            effectiveFrom: '2019-09-05',
+            multipliers: { normal: 1.5, night: 1.75, sunday: 2.0, holiday: 2.5 }
+          };
+        }
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Add workdays',
+    up(collections) {
+      collections.workdays = collections.workdays || {};
+    }
+  },
+  {
+    version: 11,
+    description: 'Remember ended sessions so their tokens cannot bring them back',
+    up(collections) {
+      collections.endedSessions = collections.endedSessions || {};
+    }
+  },
+  {
+    version: 12,
+    description: 'Drop pay policy profiles users chose for themselves (admins assign them now)',
+    up(collections) {
+      Object.values(collections.users).forEach(user => {
+        if (user.settings && user.settings.policyProfile) {
+          user.settings.policyProfile = null;
+        }
+      });
+    }
+  },
+  {
+    version: 13,
+    description: 'Drop weekly rest days users chose for themselves (admins assign them now)',
+    up(collections) {
+      Object.values(collections.users).forEach(user => {
+        if (user.settings && user.settings.restDay) {
+          user.settings.restDay = null;
+        }
+      });
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function migrate(data) {
+  const schemaVersion = data.schemaVersion || 0;
+  const collections = data.collections || {};
+
+  if (schemaVersion > LATEST_VERSION) {
+    throw new Error(`Data schema version ${schemaVersion} is newer than this server supports (${LATEST_VERSION})`);
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > schemaVersion);
+  pending.forEach(migration => {
+    console.log(`Applying storage migration ${migration.version}: ${migration.description}`);
+    migration.up(collections);
+  });
+
+  return {
+    schemaVersion: LATEST_VERSION,
+    collections,
+    migrated: pending.length > 0
+  };
+}
+
+module.exports = { migrate, LATEST_VERSION };
@@ -0,0 +1,167 @@
+// Teams (departments): a named group of users. Supervisors manage the
+// member list and can watch the team's overtime live; members only belong.
+// Someone added to a team is only invited: they don't count as a member, and
+// their overtime stays private, until they accept. Members stored before
+// invitations existed have no status and count as active.
+
+const crypto = require('crypto');
+
+const ROLES = ['member', 'supervisor'];
+
+function createTeams(store) {
+  function getTeam(teamId) {
+    return store.get('teams', teamId);
+  }
+
+  // The user's entry in the team, active or invited
+  function findMember(team, userId) {
+    return team.members.find(member => member.userId === userId) || null;
+  }
+
+  function isActive(member) {
+    return member.status !== 'invited';
+  }
+
+  // The user's entry if they are an active member
+  function membership(team, userId) {
+    const member = findMember(team, userId);
+    return member && isActive(member) ? member : null;
+  }
+
+  function isSupervisor(team, userId) {
+    const member = membership(team, userId);
+    return Boolean(member && member.role === 'supervisor');
+  }
+
+  // Teams the user belongs to, with their role in each
+  function teamsForUser(userId) {
+    return store.list('teams', team => membership(team, userId))
+      .map(team => ({ ...team, role: membership(team, userId).role }));
+  }
+
+  // Teams the user has been invited to and not answered yet
+  function invitationsForUser(userId) {
+    return store.list('teams', team => {
+      const member = findMember(team, userId);
+      return member && !isActive(member);
+    });
+  }
+
+  // Active members of the team
+  function activeMembers(team) {
+    return team.members.filter(isActive);
+  }
+
+  // Every active member of the teams the user supervises, including the user
+  function supervisedUserIds(supervisorId) {
+    const ids = new Set();
+    teamsForUser(supervisorId)
+      .filter(team => team.role === 'supervisor')
+      .forEach(team => activeMembers(team).forEach(member => ids.add(member.userId)));
+    return Array.from(ids);
+  }
+
+  function supervisesUser(supervisorId, userId) {
+    return supervisedUserIds(supervisorId).includes(userId);
+  }
+
+  // Ids of the teams the user belongs to
+  function teamIdsOfMember(userId) {
+    return teamsForUser(userId).map(team => team.id);
+  }
+
+  function createTeam(name, userId) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'Team name is required' };
+    }
+
+    const now = new Date();
+    const team = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      createdBy: userId,
+      createdAt: now,
+      members: [{ userId, role: 'supervisor', status: 'active', addedAt: now }]
+    };
+    store.put('teams', team.id, team);
+    return { team };
+  }
+
+  // Invite a user to the team, or change the role of an existing member or
+  // invitation. Returns { team, invited } where `invited` is true for a new
+  // invitation.
+  function setMember(team, userId, role = 'member', invitedBy = null) {
+    if (!ROLES.includes(role)) {
+      return { error: `Role must be one of: ${ROLES.join(', ')}` };
+    }
+
+    const existing = findMember(team, userId);
+    if (existing) {
+      if (isActive(existing) && existing.role === 'supervisor' && role !== 'supervisor' && supervisorCount(team) === 1) {
+        return { error: 'A team needs at least one supervisor' };
+      }
+      existing.role = role;
+    } else {
+      team.members.push({ userId, role, status: 'invited', invitedBy, addedAt: new Date() });
+    }
+    store.put('teams', team.id, team);
+    return { team, invited: !existing };
+  }
+
+  // Answer an invitation: accepting makes the user an active member,
+  // declining drops the invitation
+  function answerInvitation(team, userId, accept) {
+    const existing = findMember(team, userId);
+    if (!existing || isActive(existing)) {
+      return { error: 'No invitation to that team' };
+    }
+
+    if (accept) {
+      existing.status = 'active';
+      existing.joinedAt = new Date();
+    } else {
+      team.members = team.members.filter(member => member.userId !== userId);
+    }
+    store.put('teams', team.id, team);
+    return { team };
+  }
+
+  // Remove a member, or withdraw an invitation
+  function removeMember(team, userId) {
+    const existing = findMember(team, userId);
+    if (!existing) {
+      return { error: 'That user is not in the team' };
+    }
+    if (isActive(existing) && existing.role === 'supervisor' && supervisorCount(team) === 1) {
+      return { error: 'A team needs at least one supervisor' };
+    }
+
+    team.members = team.members.filter(member => member.userId !== userId);
+    store.put('teams', team.id, team);
+    return { team };
+  }
+
+  function supervisorCount(team) {
+    return activeMembers(team).filter(member => member.role === 'supervisor').length;
+  }
+
+  return {
+    getTeam,
+    isSupervisor,
+    teamsForUser,
+    invitationsForUser,
+    activeMembers,
+    supervisedUserIds,
+    supervisesUser,
+    teamIdsOfMember,
+    createTeam,
+    setMember,
+    answerInvitation,
+    removeMember
+  };
+}
+
+module.exports = {
+  ROLES,
+  createTeams
+};
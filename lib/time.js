@@ -0,0 +1,96 @@
+// Local calendar helpers. Ethiopia has a fixed UTC+3 offset with no daylight
+// saving, so a plain minute offset is enough to find local days and weeks.
+// Override with UTC_OFFSET_MINUTES when running for another timezone.
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+const UTC_OFFSET_MINUTES = process.env.UTC_OFFSET_MINUTES !== undefined
+  ? Number(process.env.UTC_OFFSET_MINUTES)
+  : 180;
+
+const OFFSET_MS = UTC_OFFSET_MINUTES * MS_PER_MINUTE;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Calendar fields of `date` as seen in local time
+function localParts(date) {
+  const shifted = new Date(new Date(date).getTime() + OFFSET_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes()
+  };
+}
+
+// Instant of local midnight for the given local calendar date
+function localMidnight(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day) - OFFSET_MS);
+}
+
+function startOfLocalDay(date) {
+  const { year, month, day } = localParts(date);
+  return localMidnight(year, month, day);
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * MS_PER_DAY);
+}
+
+// Start of the week containing `date`; weekStart is 0 (Sunday) to 6 (Saturday)
+function startOfLocalWeek(date, weekStart) {
+  const dayStart = startOfLocalDay(date);
+  const offset = (localParts(dayStart).weekday - weekStart + 7) % 7;
+  return addDays(dayStart, -offset);
+}
+
+// 'YYYY-MM-DD' key of the local calendar day
+function localDateKey(date) {
+  const { year, month, day } = localParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Local midnight of a 'YYYY-MM-DD' key, or null if it isn't a real date
+function parseLocalDateKey(key) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof key === 'string' ? key : '');
+  if (!match) {
+    return null;
+  }
+  const date = localMidnight(Number(match[1]), Number(match[2]), Number(match[3]));
+  return localDateKey(date) === key ? date : null;
+}
+
+// Accepts a weekday name ('monday'), 'iso' (Monday) or a number 0-6
+function parseWeekday(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === 'iso') {
+    return 1;
+  }
+  if (WEEKDAYS.includes(normalized)) {
+    return WEEKDAYS.indexOf(normalized);
+  }
+  const number = Number(normalized);
+  return Number.isInteger(number) && number >= 0 && number <= 6 ? number : fallback;
+}
+
+module.exports = {
+  MS_PER_HOUR,
+  MS_PER_DAY,
+  UTC_OFFSET_MINUTES,
+  WEEKDAYS,
+  localParts,
+  localMidnight,
+  startOfLocalDay,
+  startOfLocalWeek,
+  addDays,
+  localDateKey,
+  parseLocalDateKey,
+  parseWeekday
+};
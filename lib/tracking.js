@@ -0,0 +1,163 @@
+// Overtime totals derived from session timestamps, bucketed by local
+// calendar day, week and year. Set WEEK_START to a weekday name (or 'iso')
+// to change which day a week begins on; ISO weeks (Monday) are the default.
+// OVERTIME_YEAR picks the yearly window:
+//   ethiopian        - Ethiopian calendar year from Meskerem 1 (default)
+//   ethiopian-fiscal - Ethiopian fiscal year from Hamle 1
+//   gregorian        - January 1
+
+const EthiopianCalendar = require('../shared/ethiopian-calendar');
+const {
+  MS_PER_HOUR,
+  WEEKDAYS,
+  addDays,
+  localDateKey,
+  localMidnight,
+  localParts,
+  parseWeekday,
+  startOfLocalDay,
+  startOfLocalWeek
+} = require('./time');
+
+const WEEK_START = parseWeekday(process.env.WEEK_START, 1);
+
+const YEAR_BASES = ['ethiopian', 'ethiopian-fiscal', 'gregorian'];
+const YEAR_BASIS = process.env.OVERTIME_YEAR || 'ethiopian';
+
+if (!YEAR_BASES.includes(YEAR_BASIS)) {
+  throw new Error(`Unknown OVERTIME_YEAR "${YEAR_BASIS}" (expected one of: ${YEAR_BASES.join(', ')})`);
+}
+
+// Start and display label of the overtime year containing `now`
+function overtimeYear(now) {
+  const { year, month, day } = localParts(now);
+
+  if (YEAR_BASIS === 'gregorian') {
+    return { start: localMidnight(year, 1, 1), label: String(year) };
+  }
+
+  const ethiopian = EthiopianCalendar.toEthiopian(year, month, day);
+
+  if (YEAR_BASIS === 'ethiopian-fiscal') {
+    const fiscalYear = ethiopian.month >= EthiopianCalendar.FISCAL_YEAR_START_MONTH
+      ? ethiopian.year
+      : ethiopian.year - 1;
+    const start = EthiopianCalendar.fiscalYearStart(fiscalYear);
+    return {
+      start: localMidnight(start.year, start.month, start.day),
+      label: `${fiscalYear}/${String(fiscalYear + 1).slice(-2)} E.C. fiscal year`
+    };
+  }
+
+  const start = EthiopianCalendar.yearStart(ethiopian.year);
+  return {
+    start: localMidnight(start.year, start.month, start.day),
+    label: `${ethiopian.year} E.C.`
+  };
+}
+
+// Time actually worked in a session: from start to end (or `now` while it
+// runs) minus any breaks. A fixed session is capped at its planned hours.
+function sessionWorkedIntervals(session, now = new Date()) {
+  const start = new Date(session.startTime);
+  const end = session.endTime ? new Date(session.endTime) : now;
+  let remainingMs = !session.endTime && session.totalHours
+    ? session.totalHours * MS_PER_HOUR
+    : Infinity;
+
+  const breaks = (session.breaks || [])
+    .map(pause => ({ start: new Date(pause.start), end: pause.end ? new Date(pause.end) : end }))
+    .sort((a, b) => a.start - b.start);
+
+  const intervals = [];
+  let cursor = start;
+
+  breaks.concat([{ start: end, end }]).forEach(pause => {
+    const intervalEnd = pause.start < end ? pause.start : end;
+    if (intervalEnd > cursor && remainingMs > 0) {
+      const cappedEnd = new Date(Math.min(intervalEnd.getTime(), cursor.getTime() + remainingMs));
+      intervals.push({ start: cursor, end: cappedEnd });
+      remainingMs -= cappedEnd - cursor;
+    }
+    if (pause.end > cursor) {
+      cursor = pause.end;
+    }
+  });
+
+  return intervals;
+}
+
+// Total hours per local calendar day: { 'YYYY-MM-DD': hours }
+function hoursByDay(sessions, now = new Date()) {
+  const totals = {};
+
+  sessions.forEach(session => {
+    sessionWorkedIntervals(session, now).forEach(({ start, end }) => {
+      let cursor = start;
+      while (cursor < end) {
+        const nextMidnight = addDays(startOfLocalDay(cursor), 1);
+        const segmentEnd = nextMidnight < end ? nextMidnight : end;
+        const key = localDateKey(cursor);
+        totals[key] = (totals[key] || 0) + (segmentEnd - cursor) / MS_PER_HOUR;
+        cursor = segmentEnd;
+      }
+    });
+  });
+
+  return totals;
+}
+
+function sumDays(totals, from, to) {
+  const fromKey = localDateKey(from);
+  const toKey = localDateKey(to);
+  return Object.entries(totals)
+    .filter(([key]) => key >= fromKey && key < toKey)
+    .reduce((sum, [, hours]) => sum + hours, 0);
+}
+
+// Daily, weekly and yearly totals for the windows containing `now`.
+// Emergency sessions don't count towards the limits, so their hours are
+// totalled separately under `emergency`.
+function summarizeOvertime(sessions, now = new Date()) {
+  const totals = hoursByDay(sessions.filter(session => !session.emergency), now);
+  const emergencyTotals = hoursByDay(sessions.filter(session => session.emergency), now);
+  const dayStart = startOfLocalDay(now);
+  const weekStart = startOfLocalWeek(now, WEEK_START);
+  const year = overtimeYear(now);
+
+  const week = [];
+  for (let i = 0; i < 7; i++) {
+    const day = addDays(weekStart, i);
+    const key = localDateKey(day);
+    week.push({
+      date: key,
+      weekday: WEEKDAYS[(WEEK_START + i) % 7],
+      hours: totals[key] || 0,
+      emergencyHours: emergencyTotals[key] || 0
+    });
+  }
+
+  return {
+    today: localDateKey(dayStart),
+    daily: totals[localDateKey(dayStart)] || 0,
+    weekly: week.reduce((sum, day) => sum + day.hours, 0),
+    yearly: sumDays(totals, year.start, addDays(now, 1)),
+    yearStart: localDateKey(year.start),
+    yearLabel: year.label,
+    weekStart: localDateKey(weekStart),
+    week,
+    emergency: {
+      daily: emergencyTotals[localDateKey(dayStart)] || 0,
+      weekly: week.reduce((sum, day) => sum + day.emergencyHours, 0),
+      yearly: sumDays(emergencyTotals, year.start, addDays(now, 1))
+    }
+  };
+}
+
+module.exports = {
+  WEEK_START,
+  YEAR_BASIS,
+  sessionWorkedIntervals,
+  hoursByDay,
+  summarizeOvertime
+};
@@ -0,0 +1,91 @@
+// Workday mode: the user clocks in at the start of the shift and out at the
+// end. Time up to the daily hours is regular work; past that the server
+// starts an overtime session on the user's behalf, which clocking out ends.
+// A workday records its regular portion; the overtime portion is the
+// linked session.
+
+const crypto = require('crypto');
+const { MS_PER_HOUR } = require('./time');
+
+function createWorkdays(store) {
+  function getWorkday(workdayId) {
+    return store.get('workdays', workdayId);
+  }
+
+  // The workday the user is clocked in to, if any
+  function openWorkday(userId) {
+    return store.list('workdays', workday => workday.userId === userId && !workday.clockOut)[0] || null;
+  }
+
+  // Clocked-in workdays of everyone
+  function listOpen() {
+    return store.list('workdays', workday => !workday.clockOut);
+  }
+
+  function listForUser(userId) {
+    return store.list('workdays', workday => workday.userId === userId)
+      .sort((a, b) => new Date(b.clockIn) - new Date(a.clockIn));
+  }
+
+  // `overtime` holds the inputs the overtime session will be started with
+  function clockIn(userId, { dailyHours, overtime }, now = new Date()) {
+    if (openWorkday(userId)) {
+      return { error: 'You are already clocked in' };
+    }
+
+    const workday = {
+      id: crypto.randomUUID(),
+      userId,
+      clockIn: now,
+      clockOut: null,
+      dailyHours,
+      overtime,
+      sessionId: null, // set when overtime starts
+      overtimeError: null, // why overtime couldn't start, if it couldn't
+      regularHours: null // set at clock-out
+    };
+    store.put('workdays', workday.id, workday);
+    return { workday };
+  }
+
+  // When the regular part of the workday ends and overtime begins
+  function overtimeStart(workday) {
+    return new Date(new Date(workday.clockIn).getTime() + workday.dailyHours * MS_PER_HOUR);
+  }
+
+  function linkSession(workday, sessionId) {
+    workday.sessionId = sessionId;
+    store.put('workdays', workday.id, workday);
+    return workday;
+  }
+
+  function blockOvertime(workday, error) {
+    workday.overtimeError = error;
+    store.put('workdays', workday.id, workday);
+    return workday;
+  }
+
+  function clockOut(workday, now = new Date()) {
+    const workedHours = (now - new Date(workday.clockIn)) / MS_PER_HOUR;
+    workday.clockOut = now;
+    workday.regularHours = Math.min(workedHours, workday.dailyHours);
+    store.put('workdays', workday.id, workday);
+    return workday;
+  }
+
+  return {
+    getWorkday,
+    openWorkday,
+    listOpen,
+    listForUser,
+    clockIn,
+    overtimeStart,
+    linkSession,
+    blockOvertime,
+    clockOut
+  };
+}
+
+module.exports = {
+  createWorkdays
+};
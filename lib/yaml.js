@@ -0,0 +1,148 @@
+// A small YAML reader for configuration files, so the server needs no YAML
+// dependency. Supports the block style used in config files: mappings nested
+// by indentation, '- ' lists, '#' comments and scalars (numbers, booleans,
+// null, plain and quoted strings). Flow collections ({ } and [ ]), anchors
+// and multi-line strings are not supported.
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Cut a '#' comment that isn't inside quotes
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function parseScalar(text, lineNumber) {
+  const value = text.trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Line ${lineNumber}: invalid quoted string`);
+    }
+  }
+  if (value.startsWith('\'')) {
+    if (!value.endsWith('\'') || value.length < 2) {
+      throw new Error(`Line ${lineNumber}: invalid quoted string`);
+    }
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (value.startsWith('{') || value.startsWith('[')) {
+    throw new Error(`Line ${lineNumber}: flow collections are not supported, use one entry per line`);
+  }
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (NUMBER_PATTERN.test(value)) return Number(value);
+  return value;
+}
+
+// 'key: value' -> [key, value text], or null when the line isn't a key
+function splitKey(content) {
+  const match = /^("[^"]*"|'[^']*'|[^:'"]+?)\s*:(\s+(.*))?$/.exec(content);
+  if (!match) {
+    return null;
+  }
+  const key = match[1].replace(/^(["'])(.*)\1$/, '$2');
+  return [key, match[3] === undefined ? '' : match[3]];
+}
+
+function parseYaml(text) {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    const line = stripComment(raw).replace(/\s+$/, '');
+    if (line.trim() === '' || line.trim() === '---') {
+      return;
+    }
+    if (/^\s*\t/.test(line)) {
+      throw new Error(`Line ${index + 1}: indent with spaces, not tabs`);
+    }
+    lines.push({ number: index + 1, indent: line.length - line.trimStart().length, content: line.trim() });
+  });
+
+  let position = 0;
+
+  function parseBlock(indent) {
+    const first = lines[position];
+    return first.content === '-' || first.content.startsWith('- ')
+      ? parseList(indent)
+      : parseMapping(indent);
+  }
+
+  // The value after 'key:' or '- ': inline, or a nested block below it
+  function parseValue(valueText, parentIndent, lineNumber) {
+    if (valueText.trim() !== '') {
+      return parseScalar(valueText, lineNumber);
+    }
+    const next = lines[position];
+    if (!next || next.indent <= parentIndent) {
+      return null;
+    }
+    return parseBlock(next.indent);
+  }
+
+  function parseMapping(indent) {
+    const mapping = {};
+    while (position < lines.length && lines[position].indent === indent) {
+      const line = lines[position];
+      if (line.content.startsWith('- ')) {
+        throw new Error(`Line ${line.number}: expected "key: value"`);
+      }
+      const entry = splitKey(line.content);
+      if (!entry) {
+        throw new Error(`Line ${line.number}: expected "key: value"`);
+      }
+      position++;
+      mapping[entry[0]] = parseValue(entry[1], indent, line.number);
+    }
+    if (position < lines.length && lines[position].indent > indent) {
+      throw new Error(`Line ${lines[position].number}: unexpected indentation`);
+    }
+    return mapping;
+  }
+
+  function parseList(indent) {
+    const list = [];
+    while (position < lines.length && lines[position].indent === indent) {
+      const line = lines[position];
+      if (line.content !== '-' && !line.content.startsWith('- ')) {
+        throw new Error(`Line ${line.number}: expected a "- " list item`);
+      }
+      const rest = line.content.slice(1).trim();
+      const entry = rest ? splitKey(rest) : null;
+      if (entry) {
+        // '- key: value' starts a mapping indented to the key
+        line.indent = indent + line.content.indexOf(rest);
+        line.content = rest;
+        list.push(parseMapping(line.indent));
+      } else {
+        position++;
+        list.push(parseValue(rest, indent, line.number));
+      }
+    }
+    return list;
+  }
+
+  if (lines.length === 0) {
+    return null;
+  }
+  const result = parseBlock(lines[0].indent);
+  if (position < lines.length) {
+    throw new Error(`Line ${lines[position].number}: unexpected indentation`);
+  }
+  return result;
+}
+
+module.exports = {
+  parseYaml
+};
@@ -0,0 +1,453 @@
+// Supervisor dashboard: live overview of a team's overtime, kept current
+// by the team's Socket.io room (team-update every second).
+
+let socket;
+let currentUser = null;
+let supervisedTeams = [];
+let currentTeamId = null;
+
+const teamSelect = document.getElementById('teamSelect');
+const createTeamForm = document.getElementById('createTeamForm');
+const addMemberForm = document.getElementById('addMemberForm');
+const assignPolicyForm = document.getElementById('assignPolicyForm');
+const assignRestDayForm = document.getElementById('assignRestDayForm');
+const teamMembers = document.getElementById('teamMembers');
+const pendingRequests = document.getElementById('pendingRequests');
+const invitationList = document.getElementById('invitationList');
+const message = document.getElementById('message');
+
+document.addEventListener('DOMContentLoaded', async function() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (!response.ok) {
+            // Log in on the main page first
+            window.location.href = '/';
+            return;
+        }
+        currentUser = (await response.json()).user;
+        document.getElementById('currentUsername').textContent = currentUser.username;
+        document.getElementById('dashboardMain').style.display = 'block';
+
+        // Only admins create teams, make supervisors and assign pay policies
+        // and rest days
+        createTeamForm.style.display = currentUser.isAdmin ? 'flex' : 'none';
+        assignRestDayForm.style.display = currentUser.isAdmin ? 'flex' : 'none';
+        document.querySelector('#memberRole option[value="supervisor"]').disabled = !currentUser.isAdmin;
+        if (currentUser.isAdmin) {
+            loadPolicyProfiles();
+        }
+
+        setupEventListeners();
+        initializeSocket();
+        await loadTeams();
+    } catch (error) {
+        console.error('Dashboard initialization error:', error);
+        showMessage('Error loading the dashboard. Please refresh the page.', 'error');
+    }
+});
+
+function setupEventListeners() {
+    teamSelect.addEventListener('change', () => selectTeam(teamSelect.value));
+    createTeamForm.addEventListener('submit', handleCreateTeam);
+    addMemberForm.addEventListener('submit', handleAddMember);
+    assignPolicyForm.addEventListener('submit', handleAssignPolicy);
+    assignRestDayForm.addEventListener('submit', handleAssignRestDay);
+    teamMembers.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-member]');
+        if (button) {
+            handleRemoveMember(button.dataset.removeMember, button.dataset.username);
+        }
+    });
+    invitationList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-answer]');
+        if (button) {
+            handleInvitation(button.dataset.teamId, button.dataset.answer);
+        }
+    });
+    pendingRequests.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-decide]');
+        if (button) {
+            handleDecision(button.dataset.requestId, button.dataset.decide);
+        }
+    });
+}
+
+function initializeSocket() {
+    socket = io({
+        transports: ['websocket', 'polling'],
+        timeout: 20000
+    });
+
+    // Rejoin the team room after a reconnect
+    socket.on('connect', () => {
+        if (currentTeamId) {
+            socket.emit('join-team', currentTeamId);
+        }
+    });
+
+    socket.on('team-update', (dashboard) => {
+        if (dashboard.team.id === currentTeamId) {
+            displayDashboard(dashboard);
+        }
+    });
+
+    // A member of one of our teams asked for overtime
+    socket.on('overtime-request-created', (request) => {
+        showMessage(`${request.username} requested ${request.hours}h of overtime.`, 'info');
+        loadPendingRequests();
+    });
+
+    socket.on('team-invitation', (invitation) => {
+        showMessage(`You have been invited to join ${invitation.teamName}.`, 'info');
+        loadTeams();
+    });
+
+    socket.on('team-error', (data) => {
+        showMessage(data.error, 'error');
+    });
+}
+
+// Teams the user supervises
+async function loadTeams(selectId = currentTeamId) {
+    const response = await fetch('/api/teams');
+    const result = await response.json();
+    if (!result.success) {
+        showMessage(result.error, 'error');
+        return;
+    }
+
+    displayInvitations(result.invitations);
+    supervisedTeams = result.teams.filter(team => team.role === 'supervisor');
+    teamSelect.innerHTML = supervisedTeams
+        .map(team => `<option value="${team.id}">${escapeHtml(team.name)}</option>`)
+        .join('');
+
+    const hasTeams = supervisedTeams.length > 0;
+    document.getElementById('noTeamsHint').style.display = hasTeams ? 'none' : 'block';
+    document.querySelector('.team-picker').style.display = hasTeams ? 'flex' : 'none';
+
+    if (hasTeams) {
+        const team = supervisedTeams.find(item => item.id === selectId) || supervisedTeams[0];
+        teamSelect.value = team.id;
+        selectTeam(team.id);
+    }
+    loadPendingRequests();
+}
+
+// Teams we have been invited to; we join a team by accepting
+function displayInvitations(invitations) {
+    document.getElementById('invitationsSection').style.display = invitations.length > 0 ? 'block' : 'none';
+
+    invitationList.innerHTML = invitations.map(invitation => `
+        <div class="history-item">
+            <div class="history-details">
+                <div><strong>${escapeHtml(invitation.teamName)}</strong> · as ${invitation.role}</div>
+                <div style="font-size: 0.9rem; color: #666;">
+                    ${invitation.invitedByName ? `Invited by ${escapeHtml(invitation.invitedByName)}. ` : ''}Its supervisors will see your overtime, earnings and remaining allowance.
+                </div>
+            </div>
+            <div class="history-actions">
+                <button type="button" class="btn-icon" data-answer="accept" data-team-id="${invitation.teamId}" title="Accept"><i class="fas fa-check"></i></button>
+                <button type="button" class="btn-icon" data-answer="decline" data-team-id="${invitation.teamId}" title="Decline"><i class="fas fa-times"></i></button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function handleInvitation(teamId, answer) {
+    const response = await fetch(`/api/teams/${teamId}/${answer}`, {
+        method: 'POST'
+    });
+    const result = await response.json();
+
+    if (result.success) {
+        await loadTeams();
+        showMessage(answer === 'accept' ? 'You joined the team.' : 'Invitation declined.', 'success');
+    } else {
+        showMessage(result.error, 'error');
+    }
+}
+
+// Switch the live overview to another team
+function selectTeam(teamId) {
+    if (currentTeamId && currentTeamId !== teamId) {
+        socket.emit('leave-team', currentTeamId);
+    }
+    currentTeamId = teamId;
+    addMemberForm.style.display = 'flex';
+
+    if (socket.connected) {
+        socket.emit('join-team', teamId);
+    } else {
+        // Show a snapshot until the socket connects
+        loadDashboard(teamId);
+    }
+}
+
+async function loadDashboard(teamId) {
+    try {
+        const response = await fetch(`/api/teams/${teamId}/dashboard`);
+        const result = await response.json();
+        if (result.success) {
+            displayDashboard(result.dashboard);
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        console.error('Error loading team dashboard:', error);
+    }
+}
+
+function displayDashboard(dashboard) {
+    document.getElementById('overviewSection').style.display = 'block';
+    document.getElementById('teamTitle').textContent = dashboard.team.name;
+    document.getElementById('activeCount').textContent = dashboard.activeCount;
+    document.getElementById('teamCostToday').textContent = `ETB ${dashboard.costToday.toFixed(2)}`;
+
+    // People on overtime first
+    const members = [...dashboard.members].sort((a, b) => Boolean(b.activeSession) - Boolean(a.activeSession));
+
+    teamMembers.innerHTML = members.map(member => {
+        const session = member.activeSession;
+        const status = session
+            ? (session.isPaused ? '<span class="status-paused">On break</span>' : '<span class="status-active">On overtime</span>')
+            : '<span class="status-idle">Not on overtime</span>';
+        const emergency = session && session.emergency ? ' <span class="status-emergency">Emergency</span>' : '';
+        const remove = member.userId === currentUser.id
+            ? ''
+            : `<button type="button" class="btn-icon" data-remove-member="${member.userId}" data-username="${escapeHtml(member.username)}" title="Remove from team"><i class="fas fa-user-minus"></i></button>`;
+
+        return `
+            <tr class="${session ? 'member-active' : ''}">
+                <td>${escapeHtml(member.username)}${member.role === 'supervisor' ? ' <small>(supervisor)</small>' : ''}</td>
+                <td>${status}${emergency}</td>
+                <td>${session ? `${formatOvertimeType(session.currentType)} ${session.currentMultiplier}x` : '-'}</td>
+                <td>${session ? formatTime(session.elapsedTime) : '-'}</td>
+                <td>${session ? `ETB ${session.currentEarnings.toFixed(2)}` : '-'}</td>
+                <td>ETB ${member.costToday.toFixed(2)}</td>
+                <td class="${allowanceClass(member.remaining.weekly, member.limits.MAX_HOURS_PER_WEEK)}">${member.remaining.weekly.toFixed(1)}h</td>
+                <td class="${allowanceClass(member.remaining.yearly, member.limits.MAX_HOURS_PER_YEAR)}">${member.remaining.yearly.toFixed(1)}h</td>
+                <td>${remove}</td>
+            </tr>
+        `;
+    }).join('') + dashboard.invited.map(member => `
+            <tr>
+                <td>${escapeHtml(member.username)}${member.role === 'supervisor' ? ' <small>(supervisor)</small>' : ''}</td>
+                <td><span class="status-idle">Invitation sent</span></td>
+                <td colspan="6">-</td>
+                <td><button type="button" class="btn-icon" data-remove-member="${member.userId}" data-username="${escapeHtml(member.username)}" title="Withdraw invitation"><i class="fas fa-user-minus"></i></button></td>
+            </tr>
+        `).join('');
+}
+
+// Requests from members of every team we supervise
+async function loadPendingRequests() {
+    try {
+        const response = await fetch('/api/overtime-requests/review');
+        const result = await response.json();
+        if (result.success) {
+            displayPendingRequests(result.requests);
+        }
+    } catch (error) {
+        console.error('Error loading overtime requests:', error);
+    }
+}
+
+function displayPendingRequests(requests) {
+    document.getElementById('pendingSection').style.display = supervisedTeams.length > 0 ? 'block' : 'none';
+
+    if (requests.length === 0) {
+        pendingRequests.innerHTML = '<p style="text-align: center; color: #666; padding: 20px;">No requests waiting for a decision</p>';
+        return;
+    }
+
+    pendingRequests.innerHTML = requests.map(request => `
+        <div class="history-item">
+            <div class="history-details">
+                <div><strong>${escapeHtml(request.username)}</strong> · ${request.date} · ${request.hours}h ${formatOvertimeType(request.overtimeType)}</div>
+                <div style="font-size: 0.9rem; color: #666;">${escapeHtml(request.reason)}</div>
+                <div class="team-form request-decision">
+                    <input type="number" id="approveHours-${request.id}" min="0.25" max="${request.hours}" step="0.25" value="${request.hours}" title="Hours to approve">
+                    <input type="text" id="decisionNote-${request.id}" placeholder="Note (optional)">
+                </div>
+            </div>
+            <div class="history-actions">
+                <button type="button" class="btn-icon" data-decide="approve" data-request-id="${request.id}" title="Approve"><i class="fas fa-check"></i></button>
+                <button type="button" class="btn-icon" data-decide="reject" data-request-id="${request.id}" title="Reject"><i class="fas fa-times"></i></button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function handleDecision(requestId, action) {
+    const body = { note: document.getElementById(`decisionNote-${requestId}`).value };
+    if (action === 'approve') {
+        body.hours = parseFloat(document.getElementById(`approveHours-${requestId}`).value);
+    }
+
+    const response = await fetch(`/api/overtime-requests/${requestId}/${action}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    if (result.success) {
+        loadPendingRequests();
+        showMessage(`Request from ${result.request.username} ${result.request.status}.`, 'success');
+    } else {
+        showMessage(result.error, 'error');
+    }
+}
+
+// Highlight allowances that are nearly or fully used
+function allowanceClass(remaining, limit) {
+    if (remaining <= 0) return 'allowance-exhausted';
+    if (remaining < limit * 0.2) return 'allowance-low';
+    return '';
+}
+
+async function handleCreateTeam(e) {
+    e.preventDefault();
+
+    const response = await fetch('/api/teams', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name: document.getElementById('teamName').value })
+    });
+    const result = await response.json();
+
+    if (result.success) {
+        createTeamForm.reset();
+        await loadTeams(result.team.id);
+        showMessage(`Team "${result.team.name}" created.`, 'success');
+    } else {
+        showMessage(result.error, 'error');
+    }
+}
+
+async function handleAddMember(e) {
+    e.preventDefault();
+    if (!currentTeamId) return;
+
+    const response = await fetch(`/api/teams/${currentTeamId}/members`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            username: document.getElementById('memberUsername').value.trim(),
+            role: document.getElementById('memberRole').value
+        })
+    });
+    const result = await response.json();
+
+    if (result.success) {
+        addMemberForm.reset();
+        loadDashboard(currentTeamId);
+        showMessage(result.invited ? 'Invitation sent. They join the team once they accept.' : 'Role updated.', 'success');
+    } else {
+        showMessage(result.error, 'error');
+    }
+}
+
+async function handleRemoveMember(userId, username) {
+    if (!confirm(`Remove ${username} from the team?`)) return;
+
+    const response = await fetch(`/api/teams/${currentTeamId}/members/${userId}`, {
+        method: 'DELETE'
+    });
+    const result = await response.json();
+
+    if (result.success) {
+        loadDashboard(currentTeamId);
+        showMessage(`${username} removed.`, 'success');
+    } else {
+        showMessage(result.error, 'error');
+    }
+}
+
+// Pay policy profiles an admin can assign
+async function loadPolicyProfiles() {
+    const response = await fetch('/api/policy');
+    const result = await response.json();
+    if (!result.success) return;
+
+    document.getElementById('policyProfile').innerHTML = `<option value="">Default pay policy</option>` +
+        result.profiles.map(profile => `<option value="${escapeHtml(profile.name)}">${escapeHtml(profile.label)}</option>`).join('');
+    assignPolicyForm.style.display = 'flex';
+}
+
+async function handleAssignPolicy(e) {
+    e.preventDefault();
+
+    const username = document.getElementById('policyUsername').value.trim();
+    const response = await fetch(`/api/users/${encodeURIComponent(username)}/policy-profile`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ policyProfile: document.getElementById('policyProfile').value || null })
+    });
+    const result = await response.json();
+
+    if (result.success) {
+        assignPolicyForm.reset();
+        showMessage(`Pay policy of ${result.user.username} set to ${result.user.policyProfile || 'the default'}.`, 'success');
+    } else {
+        showMessage(result.error, 'error');
+    }
+}
+
+async function handleAssignRestDay(e) {
+    e.preventDefault();
+
+    const username = document.getElementById('restDayUsername').value.trim();
+    const response = await fetch(`/api/users/${encodeURIComponent(username)}/rest-day`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ restDay: document.getElementById('restDay').value || null })
+    });
+    const result = await response.json();
+
+    if (result.success) {
+        assignRestDayForm.reset();
+        showMessage(`Weekly rest day of ${result.user.username} set to ${result.user.restDay || 'the pay policy\'s'}.`, 'success');
+    } else {
+        showMessage(result.error, 'error');
+    }
+}
+
+function formatOvertimeType(type) {
+    return type === 'sunday' ? 'Weekly rest day' : type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+function formatTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function showMessage(text, type = 'info') {
+    message.textContent = text;
+    message.className = `message ${type}`;
+    message.classList.add('show');
+
+    setTimeout(() => {
+        message.classList.remove('show');
+    }, 5000);
+}
@@ -1,19 +1,55 @@
 // Global variables
 let socket;
 let currentSession = null;
+let currentSessionToken = null; // signed token the live session routes need
+let sessionTokenRefreshed = false; // set after fetching a fresh token, so a rejected one isn't refreshed in a loop
 let isCounterRunning = false;
+let currentUser = null;
+let sessionHistory = [];
+let overtimeRequests = [];
+let approvalRequired = false;
+let payPolicy = null; // pay policy profile version in effect today
+let currentWorkday = null; // the workday we are clocked in to
+let workdayTimer;
+let counterSnapshot = null; // last counter figures and when they were taken
+
+// Reasons accepted for emergency overtime
+const EMERGENCY_CATEGORIES = {
+    accident: 'Accident (actual or threatened)',
+    'force-majeure': 'Force majeure',
+    'urgent-work': 'Urgent work'
+};
+let pingInterval;
 
 // DOM elements
 const form = document.getElementById('overtimeForm');
 const calculateBtn = document.getElementById('calculateBtn');
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const resumeBtn = document.getElementById('resumeBtn');
 const formSection = document.getElementById('formSection');
 const resultsSection = document.getElementById('resultsSection');
 const counterSection = document.getElementById('counterSection');
+const workdaySection = document.getElementById('workdaySection');
+const clockInBtn = document.getElementById('clockInBtn');
+const overtimeClockOutBtn = document.getElementById('overtimeClockOutBtn');
 const historySection = document.getElementById('historySection');
 const loadingOverlay = document.getElementById('loadingOverlay');
 const message = document.getElementById('message');
+const authSection = document.getElementById('authSection');
+const authForm = document.getElementById('authForm');
+const registerBtn = document.getElementById('registerBtn');
+const logoutBtn = document.getElementById('logoutBtn');
+const appMain = document.getElementById('appMain');
+const userBar = document.getElementById('userBar');
+const calendarSetting = document.getElementById('calendarSetting');
+const policySetting = document.getElementById('policySetting');
+const restDaySetting = document.getElementById('restDaySetting');
+const historyList = document.getElementById('historyList');
+const addSessionBtn = document.getElementById('addSessionBtn');
+const manualEntryForm = document.getElementById('manualEntryForm');
+const manualCancelBtn = document.getElementById('manualCancelBtn');
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
@@ -24,11 +60,9 @@ document.addEventListener('DOMContentLoaded', function() {
         // Mobile optimizations
         setupMobileOptimizations();
         
-        initializeSocket();
+        registerServiceWorker();
         setupEventListeners();
-        loadSessionHistory();
-        loadOvertimeTracking();
-        updateHourlyRateDisplay(); // Show initial hourly rate
+        checkAuth();
     } catch (error) {
         console.error('Initialization error:', error);
         showLoading(false);
@@ -36,6 +70,169 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
+// Fetch wrapper for API calls: sends the user back to the login screen when
+// their login has expired
+async function apiFetch(url, options = {}) {
+    const response = await fetch(url, options);
+    if (response.status === 401 && currentUser) {
+        showAuthSection();
+        showMessage('Your login has expired. Please log in again.', 'error');
+    }
+    return response;
+}
+
+// Check for an existing login and show the right screen
+async function checkAuth() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (response.ok) {
+            const result = await response.json();
+            showApp(result.user);
+        } else {
+            showAuthSection();
+        }
+    } catch (error) {
+        console.error('Auth check error:', error);
+        // Offline: carry on as the user who was last logged in here
+        const { user } = readOfflineCache();
+        if (user) {
+            showApp(user);
+        } else {
+            showAuthSection();
+        }
+    }
+}
+
+// Log in or register, depending on which button was used
+async function handleAuth(mode) {
+    const formData = new FormData(authForm);
+    const username = (formData.get('username') || '').trim();
+    const password = formData.get('password') || '';
+    
+    if (!username || !password) {
+        showMessage('Please enter a username and password.', 'error');
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const response = await fetch(`/api/auth/${mode}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, password })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            authForm.reset();
+            showApp(result.user);
+            showMessage(mode === 'register' ? 'Account created!' : 'Welcome back!', 'success');
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage('Error signing in. Please try again.', 'error');
+        console.error('Auth error:', error);
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function handleLogout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+    
+    // Session tokens stay behind on this device otherwise. Queued stops ask
+    // for a fresh token when they are sent.
+    localStorage.removeItem(OFFLINE_CACHE_KEY);
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
+    saveOfflineQueue(readOfflineQueue().map(({ sessionToken, ...item }) => item));
+    showAuthSection();
+    showMessage('Logged out.', 'info');
+}
+
+// Save user settings and refresh anything that depends on them
+async function updateSettings(changes) {
+    try {
+        const response = await apiFetch('/api/settings', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(changes)
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            currentUser.settings = result.settings;
+            if (changes.alerts) {
+                showMessage('Alerts saved.', 'success');
+            }
+            loadSessionHistory();
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage('Error saving settings. Please try again.', 'error');
+        console.error('Settings error:', error);
+    }
+}
+
+function showApp(user) {
+    currentUser = user;
+    document.getElementById('currentUsername').textContent = user.username;
+    calendarSetting.value = user.settings.calendar;
+    restDaySetting.value = user.settings.restDay || '';
+    displayAlertSettings(user.settings.alerts);
+    userBar.style.display = 'flex';
+    authSection.style.display = 'none';
+    appMain.style.display = 'block';
+    updateOfflineCache({ user });
+    
+    initializeSocket();
+    startLocalCounter();
+    syncOfflineQueue();
+    loadSessionHistory();
+    loadOvertimeTracking();
+    loadHolidayToday();
+    loadOvertimeRequests();
+    loadPayPolicy();
+    loadWorkday();
+    loadActiveSession();
+    loadWorkdays();
+    updateHourlyRateDisplay(); // Show initial hourly rate
+}
+
+function showAuthSection() {
+    currentUser = null;
+    setCurrentSession(null);
+    isCounterRunning = false;
+    currentWorkday = null;
+    counterSnapshot = null;
+    clearInterval(workdayTimer);
+    clearInterval(localCounterInterval);
+    stopPollingFallback();
+    
+    if (socket) {
+        socket.disconnect();
+        socket = null;
+    }
+    
+    userBar.style.display = 'none';
+    appMain.style.display = 'none';
+    authSection.style.display = 'block';
+    showFormSection();
+    disableFormInputs(false);
+}
+
 // Polling fallback for when Socket.io is not available
 let pollingInterval;
 
@@ -51,15 +248,27 @@ function startPollingFallback() {
         }
         
         try {
-            const response = await fetch(`/api/session-status/${currentSession}`);
+            const response = await sessionFetch(`/api/session-status/${currentSession}`);
             if (response.ok) {
                 const data = await response.json();
-                if (data.session) {
+                // Without the socket, polling is how a fixed session's end shows up
+                if (data.session && !data.session.isActive) {
+                    stopPollingFallback();
+                    handleSessionComplete({
+                        finalEarnings: data.session.currentEarnings,
+                        totalDuration: data.session.elapsedTime
+                    });
+                } else if (data.session) {
                     updateCounterDisplay({
                         currentEarnings: data.session.currentEarnings,
+                        netEarnings: data.session.netEarnings,
                         elapsedTime: data.session.elapsedTime,
                         remainingTime: data.session.remainingTime,
-                        isOpenEnded: data.session.isOpenEnded
+                        isOpenEnded: data.session.isOpenEnded,
+                        isPaused: data.session.isPaused,
+                        currentType: data.session.currentType,
+                        currentMultiplier: data.session.currentMultiplier,
+                        segments: data.session.segments
                     });
                 }
             }
@@ -116,9 +325,15 @@ function setupMobileOptimizations() {
         });
     }
     
+    // Session alerts: browsers only allow notifications and sound after the
+    // user has done something, so ask when a session or workday is started
+    ['startBtn', 'clockInBtn'].forEach(id => {
+        document.getElementById(id).addEventListener('click', prepareAlerts);
+    });
+    
     // Add haptic feedback if available
     if ('vibrate' in navigator) {
-        const actionButtons = document.querySelectorAll('#calculateBtn, #startBtn, #stopBtn');
+        const actionButtons = document.querySelectorAll('#calculateBtn, #startBtn, #stopBtn, #pauseBtn, #resumeBtn');
         actionButtons.forEach(button => {
             button.addEventListener('click', function() {
                 navigator.vibrate(50); // Short vibration
@@ -137,7 +352,7 @@ function setupMobileOptimizations() {
         });
         
         // Add input mode for better mobile keyboards
-        if (input.id === 'salary') {
+        if (input.id === 'payAmount') {
             input.setAttribute('inputmode', 'numeric');
         } else if (input.id === 'dailyHours' || input.id === 'hours') {
             input.setAttribute('inputmode', 'decimal');
@@ -161,6 +376,68 @@ function setupMobileOptimizations() {
     });
 }
 
+// Alert sound: two short beeps from the Web Audio API. The audio context is
+// created on a click, as mobile browsers require.
+let alertAudio = null;
+
+// Ask for notifications and unlock the alert sound; call from a click
+function prepareAlerts() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+    
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!alertAudio && AudioContext) {
+        alertAudio = new AudioContext();
+    }
+    if (alertAudio && alertAudio.state === 'suspended') {
+        alertAudio.resume();
+    }
+}
+
+function playAlertSound() {
+    if (!alertAudio) return;
+    
+    [0, 0.25].forEach(offset => {
+        const oscillator = alertAudio.createOscillator();
+        const gain = alertAudio.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.value = 0.2;
+        oscillator.connect(gain).connect(alertAudio.destination);
+        oscillator.start(alertAudio.currentTime + offset);
+        oscillator.stop(alertAudio.currentTime + offset + 0.15);
+    });
+}
+
+// Show a session alert in the page and as a browser notification (through
+// the service worker where there is one, which phones need), with a sound
+// and a vibration
+async function showSessionAlert(alert) {
+    showMessage(alert.message, alert.level);
+    playAlertSound();
+    if ('vibrate' in navigator) {
+        navigator.vibrate([200, 100, 200]);
+    }
+    
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const options = {
+        body: alert.message,
+        icon: '/icon.svg',
+        tag: `session-alert-${alert.rule}`,
+        vibrate: [200, 100, 200]
+    };
+    try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) {
+            await registration.showNotification('Overtime Clock', options);
+        } else {
+            new Notification('Overtime Clock', options);
+        }
+    } catch (error) {
+        console.error('Notification error:', error);
+    }
+}
+
 // Global error handler
 window.addEventListener('error', function(e) {
     console.error('Global error:', e.error);
@@ -186,6 +463,11 @@ function initializeSocket() {
             reconnectAttempts = 0;
             clearInterval(reconnectInterval);
             showMessage('Connected to server', 'success');
+            // A new connection has left the session room
+            if (currentSession && !isOfflineSession(currentSession)) {
+                joinSessionRoom();
+            }
+            syncOfflineQueue();
         });
         
         socket.on('connected', (data) => {
@@ -195,6 +477,11 @@ function initializeSocket() {
         socket.on('disconnect', (reason) => {
             console.log('Disconnected from server. Reason:', reason);
             
+            if (reason === 'io client disconnect') {
+                // We disconnected on purpose (logout), don't reconnect
+                return;
+            }
+            
             if (reason === 'io server disconnect') {
                 // Server initiated disconnect, don't reconnect
                 showMessage('Server disconnected. Please refresh the page.', 'error');
@@ -224,6 +511,7 @@ function initializeSocket() {
         });
         
         socket.on('session-data', (session) => {
+            sessionTokenRefreshed = false;
             updateSessionDisplay(session);
         });
         
@@ -235,8 +523,64 @@ function initializeSocket() {
             handleSessionComplete(data);
         });
         
+        // The server stopped the session because an overtime limit ran out
+        socket.on('limit-reached', (data) => {
+            handleSessionComplete(data, data.message);
+        });
+        
+        // Each pause or resume reissues the session token
+        socket.on('session-paused', (data) => {
+            setCurrentSession(currentSession, data.sessionToken);
+            setPausedState(true);
+            showMessage('Session paused. Break time is not paid.', 'info');
+        });
+        
+        socket.on('session-resumed', (data) => {
+            setCurrentSession(currentSession, data.sessionToken);
+            setPausedState(false);
+            showMessage('Session resumed!', 'success');
+        });
+        
+        // An alert rule of ours was met (earnings target, time or limit)
+        socket.on('session-alert', (alert) => {
+            showSessionAlert(alert);
+        });
+        
+        // The server may have turned our session token down (after a restart
+        // with a new key, or once it expired): get a fresh one and rejoin
+        socket.on('session-error', async (data) => {
+            if (!sessionTokenRefreshed && await refreshSessionToken()) {
+                joinSessionRoom();
+                return;
+            }
+            showMessage(data.error, 'error');
+        });
+        
+        // Our daily hours are up and the server started the overtime
+        socket.on('workday-overtime-started', (data) => {
+            showWorkday(data.workday, data.sessionToken);
+            showMessage('Your daily hours are up. Overtime has started!', 'success');
+        });
+        
+        socket.on('workday-overtime-blocked', (data) => {
+            showWorkday(data.workday);
+            showMessage(`Overtime could not start: ${data.error}`, 'error');
+        });
+        
+        // A supervisor approved or rejected one of our overtime requests
+        socket.on('overtime-request-updated', (request) => {
+            const hours = request.status === 'approved' ? ` for ${request.approvedHours}h` : '';
+            showMessage(`Your overtime request for ${formatDate(request.date)} was ${request.status}${hours}.`, request.status === 'approved' ? 'success' : 'error');
+            loadOvertimeRequests();
+        });
+        
+        socket.on('team-invitation', (invitation) => {
+            showMessage(`You have been invited to join ${invitation.teamName}. Open the Team page to accept or decline.`, 'info');
+        });
+        
         // Ping-pong for connection health
-        setInterval(() => {
+        clearInterval(pingInterval);
+        pingInterval = setInterval(() => {
             if (socket && socket.connected) {
                 socket.emit('ping');
             }
@@ -253,12 +597,103 @@ function setupEventListeners() {
     // Form submission
     form.addEventListener('submit', handleFormSubmit);
     
+    // Send what was done offline once the connection is back
+    window.addEventListener('online', handleOnline);
+    
     // Calculate button
     calculateBtn.addEventListener('click', handleCalculate);
     
     // Stop button
     stopBtn.addEventListener('click', handleStop);
     
+    // Workday mode: clock in and out
+    clockInBtn.addEventListener('click', handleClockIn);
+    document.getElementById('clockOutBtn').addEventListener('click', handleClockOut);
+    overtimeClockOutBtn.addEventListener('click', handleClockOut);
+    
+    // Pause and resume buttons
+    pauseBtn.addEventListener('click', () => handlePauseResume('pause'));
+    resumeBtn.addEventListener('click', () => handlePauseResume('resume'));
+    
+    // Login, registration and logout
+    authForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleAuth('login');
+    });
+    registerBtn.addEventListener('click', () => handleAuth('register'));
+    logoutBtn.addEventListener('click', handleLogout);
+    
+    // Calendar used to display dates
+    calendarSetting.addEventListener('change', () => {
+        updateSettings({ calendar: calendarSetting.value });
+    });
+    
+    // Manual entry, editing and deletion of past sessions
+    addSessionBtn.addEventListener('click', () => openManualEntry());
+    manualCancelBtn.addEventListener('click', closeManualEntry);
+    manualEntryForm.addEventListener('submit', handleManualEntrySubmit);
+    historyList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const session = sessionHistory.find(item => item.id === button.dataset.sessionId);
+        if (!session) return;
+        if (button.dataset.action === 'edit') {
+            openManualEntry(session);
+        } else if (button.dataset.action === 'delete') {
+            handleDeleteSession(session);
+        }
+    });
+    
+    // Alert rules for running sessions
+    document.getElementById('alertsForm').addEventListener('submit', handleAlertsSubmit);
+    
+    // Overtime pre-approval requests
+    document.getElementById('requestForm').addEventListener('submit', handleRequestSubmit);
+    document.getElementById('requestList').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-cancel-request]');
+        if (button) {
+            handleCancelRequest(button.dataset.cancelRequest);
+        }
+    });
+    document.getElementById('approvedRequest').addEventListener('change', (e) => {
+        // Work the overtime type that was approved
+        const request = overtimeRequests.find(item => item.id === e.target.value);
+        if (request) {
+            document.getElementById('overtimeType').value = request.overtimeType;
+            validateForm();
+        }
+    });
+    document.getElementById('requestDate').value = todayKey();
+    
+    // Emergency overtime asks for its reason and justification
+    document.getElementById('payBasis').addEventListener('change', updatePayBasisLabel);
+    document.getElementById('emergencyToggle').addEventListener('change', (e) => {
+        document.getElementById('emergencyFields').style.display = e.target.checked ? 'grid' : 'none';
+        document.getElementById('emergencyCategory').required = e.target.checked;
+        document.getElementById('emergencyJustification').required = e.target.checked;
+    });
+    
+    // Export and import of the whole history
+    document.querySelectorAll('[data-export-format]').forEach(button => {
+        button.addEventListener('click', () => {
+            window.location.href = `/api/sessions/export?format=${button.dataset.exportFormat}`;
+        });
+    });
+    const importFile = document.getElementById('importFile');
+    document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+        if (importFile.files[0]) {
+            handleImport(importFile.files[0]);
+        }
+        importFile.value = '';
+    });
+    
+    // Statement downloads for the chosen pay period
+    document.querySelectorAll('[data-statement-format]').forEach(button => {
+        button.addEventListener('click', () => downloadStatement(button.dataset.statementFormat));
+    });
+    setDefaultStatementPeriod();
+    
     // Input validation and hourly rate calculation
     const inputs = form.querySelectorAll('input, select');
     inputs.forEach(input => {
@@ -269,6 +704,32 @@ function setupEventListeners() {
     });
 }
 
+// Alert rules are numbers; an empty field turns the alert off
+const ALERT_FIELDS = {
+    earningsTarget: 'alertEarningsTarget',
+    minutesLeft: 'alertMinutesLeft',
+    dailyLimitMinutes: 'alertDailyLimitMinutes',
+    limitPercent: 'alertLimitPercent'
+};
+
+function displayAlertSettings(alerts) {
+    Object.entries(ALERT_FIELDS).forEach(([rule, id]) => {
+        document.getElementById(id).value = alerts[rule] ?? '';
+    });
+}
+
+function handleAlertsSubmit(e) {
+    e.preventDefault();
+    
+    const alerts = {};
+    Object.entries(ALERT_FIELDS).forEach(([rule, id]) => {
+        const value = document.getElementById(id).value;
+        alerts[rule] = value === '' ? null : parseFloat(value);
+    });
+    prepareAlerts();
+    updateSettings({ alerts });
+}
+
 // Handle form submission
 async function handleFormSubmit(e) {
     e.preventDefault();
@@ -289,7 +750,7 @@ async function handleCalculate() {
     showLoading(true);
     
     try {
-        const response = await fetch('/api/calculate', {
+        const response = await apiFetch('/api/calculate', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -301,7 +762,8 @@ async function handleCalculate() {
         console.log('API Response:', result);
         
         if (result.success) {
-            displayCalculationResults(result.calculation, result.warnings);
+            applyServerOvertimeType(result.overtimeType);
+            displayCalculationResults(result.calculation, result.warnings, result.deductions);
             showMessage('Calculation completed successfully!', 'success');
         } else {
             showMessage(result.error, 'error');
@@ -319,26 +781,40 @@ async function startOvertimeSession() {
     const formData = getFormData();
     if (!formData) return;
     
+    if (!navigator.onLine) {
+        startOfflineSession(formData);
+        return;
+    }
+    
     showLoading(true);
     
     try {
-        const response = await fetch('/api/start-session', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(formData)
-        });
+        let response;
+        try {
+            response = await apiFetch('/api/start-session', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(formData)
+            });
+        } catch (error) {
+            // The connection dropped: count on this device instead
+            startOfflineSession(formData);
+            return;
+        }
         
         const result = await response.json();
         
         if (result.success) {
-            currentSession = result.sessionId;
+            setCurrentSession(result.sessionId, result.sessionToken);
             isCounterRunning = true;
+            applyServerOvertimeType(result.overtimeType);
+            resetCounterSnapshot(result.calculation, formData.hours);
             
             // Join the session room
             if (socket && socket.connected) {
-                socket.emit('join-session', currentSession);
+                joinSessionRoom();
             } else {
                 // Fallback: Use polling if Socket.io is not available
                 console.log('Socket.io not available, using polling fallback');
@@ -346,7 +822,7 @@ async function startOvertimeSession() {
             }
             
             // Update UI
-            displayCalculationResults(result.calculation, result.warnings);
+            displayCalculationResults(result.calculation, result.warnings, result.deductions);
             showCounterSection();
             showMessage('Overtime session started!', 'success');
             
@@ -367,27 +843,31 @@ async function startOvertimeSession() {
 async function handleStop() {
     if (!currentSession) return;
     
+    if (isOfflineSession(currentSession) || !navigator.onLine) {
+        stopOffline();
+        return;
+    }
+    
     showLoading(true);
     
     try {
-        const response = await fetch(`/api/stop-session/${currentSession}`, {
-            method: 'POST'
-        });
+        let response;
+        try {
+            response = await sessionFetch(`/api/stop-session/${currentSession}`, {
+                method: 'POST'
+            });
+        } catch (error) {
+            stopOffline();
+            return;
+        }
         
         const result = await response.json();
         
         if (result.success) {
-            isCounterRunning = false;
-            currentSession = null;
-            
-            // Stop polling fallback
-            stopPollingFallback();
-            
-            // Update UI
-            showFormSection();
-            disableFormInputs(false);
+            endCounter();
             loadSessionHistory();
             loadOvertimeTracking();
+            loadOvertimeRequests();
             showMessage('Session stopped successfully!', 'success');
         } else {
             showMessage(result.error, 'error');
@@ -400,68 +880,823 @@ async function handleStop() {
     }
 }
 
-// Get form data
-function getFormData() {
-    const formData = new FormData(form);
-    const salary = parseFloat(formData.get('salary'));
-    const dailyHours = parseFloat(formData.get('dailyHours'));
-    
-    // Calculate hourly rate
-    const hourlyRate = salary && dailyHours && salary > 0 && dailyHours > 0 
-        ? salary / (30 * dailyHours) 
-        : 0;
-    
-    const hoursValue = formData.get('hours');
-    const hours = hoursValue ? parseFloat(hoursValue) : null;
-    
-    const data = {
-        hourlyRate,
-        overtimeType: formData.get('overtimeType'),
-        hours: hours
-    };
-    
-    // Validate required fields
-    if (!salary || !dailyHours || !data.overtimeType) {
-        showMessage('Please fill in salary, daily hours, and overtime type.', 'error');
-        return null;
-    }
+// Clock in for a workday. The server starts an overtime session with the
+// form's pay and overtime type once the daily hours are worked.
+async function handleClockIn() {
+    const formData = getFormData();
+    if (!formData) return;
     
-    // Validate salary
-    if (salary <= 0) {
-        showMessage('Salary must be greater than 0.', 'error');
-        return null;
+    if (isCounterRunning) {
+        showMessage('Please stop the current session before clocking in.', 'error');
+        return;
     }
     
-    // Validate daily hours
-    if (dailyHours <= 0 || dailyHours > 24) {
-        showMessage('Daily hours must be between 0.5 and 24.', 'error');
-        return null;
-    }
+    showLoading(true);
     
-    // Validate hours (if provided)
-    if (hours !== null && hours <= 0) {
-        showMessage('Overtime hours must be greater than 0.', 'error');
-        return null;
+    try {
+        const response = await apiFetch('/api/workday/clock-in', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(formData)
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            showWorkday(result.workday);
+            showMessage('Clocked in. Overtime starts automatically after your daily hours.', 'success');
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage('Error clocking in. Please try again.', 'error');
+        console.error('Clock in error:', error);
+    } finally {
+        showLoading(false);
     }
-    
-    return data;
 }
 
-// Update hourly rate display
-function updateHourlyRateDisplay() {
-    const salary = parseFloat(document.getElementById('salary').value);
-    const dailyHours = parseFloat(document.getElementById('dailyHours').value);
+// Clocking out ends the workday and its overtime
+async function handleClockOut() {
+    if (!currentWorkday) return;
     
-    if (salary && dailyHours && salary > 0 && dailyHours > 0) {
-        const hourlyRate = salary / (30 * dailyHours);
-        document.querySelector('.rate-amount').textContent = `ETB ${hourlyRate.toFixed(2)}`;
-    } else {
-        document.querySelector('.rate-amount').textContent = 'ETB 0.00';
+    showLoading(true);
+    
+    try {
+        const response = await apiFetch('/api/workday/clock-out', {
+            method: 'POST'
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            const workday = result.workday;
+            endWorkday();
+            loadSessionHistory();
+            loadOvertimeTracking();
+            loadOvertimeRequests();
+            loadWorkdays();
+            showMessage(`Workday recorded: ${workday.regularHours.toFixed(2)}h regular + ${workday.overtimeHours.toFixed(2)}h overtime (ETB ${workday.overtimePay.toFixed(2)}).`, 'success');
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage('Error clocking out. Please try again.', 'error');
+        console.error('Clock out error:', error);
+    } finally {
+        showLoading(false);
     }
 }
 
-// Validate form in real-time
-function validateForm() {
+// The workday we are clocked in to, if any (after a reload, for example)
+async function loadWorkday() {
+    try {
+        const response = await apiFetch('/api/workday');
+        const result = await response.json();
+        
+        if (result.success && result.workday) {
+            showWorkday(result.workday, result.sessionToken);
+        }
+    } catch (error) {
+        console.error('Error loading workday:', error);
+    }
+}
+
+// Show the workday: the regular time until overtime starts, then the
+// live counter of its overtime session, whose token the server hands out
+// with the workday once it has started it
+function showWorkday(workday, sessionToken = null) {
+    currentWorkday = workday;
+    clearInterval(workdayTimer);
+    disableFormInputs(true);
+    stopBtn.style.display = 'none';
+    overtimeClockOutBtn.style.display = 'inline-flex';
+    
+    if (workday.overtimeActive) {
+        if (currentSession !== workday.sessionId) {
+            setCurrentSession(workday.sessionId, sessionToken);
+            isCounterRunning = true;
+            if (socket && socket.connected) {
+                joinSessionRoom();
+            } else {
+                startPollingFallback();
+            }
+        }
+        showCounterSection();
+        return;
+    }
+    
+    document.getElementById('clockInTime').textContent = formatTimeOfDay(workday.clockIn);
+    document.getElementById('overtimeStartTime').textContent = formatTimeOfDay(workday.overtimeStartsAt);
+    document.getElementById('workdayNote').textContent = workday.overtimeError
+        ? `Overtime could not start: ${workday.overtimeError}. Time past your daily hours is not counted as overtime.`
+        : workday.sessionId
+            ? 'Your overtime has ended. Clock out when you leave.'
+            : 'Overtime starts automatically when your daily hours are up.';
+    
+    const updateRegularTime = () => {
+        const workedMs = Math.min(Date.now() - new Date(workday.clockIn), workday.dailyHours * 3600000);
+        document.getElementById('regularTime').textContent = formatTime(Math.max(0, workedMs) / 1000);
+    };
+    updateRegularTime();
+    workdayTimer = setInterval(updateRegularTime, 1000);
+    showWorkdaySection();
+}
+
+// Back to the form once we have clocked out
+function endWorkday() {
+    clearInterval(workdayTimer);
+    currentWorkday = null;
+    setCurrentSession(null);
+    isCounterRunning = false;
+    stopPollingFallback();
+    showFormSection();
+    disableFormInputs(false);
+}
+
+async function loadWorkdays() {
+    try {
+        const response = await apiFetch('/api/workdays');
+        const result = await response.json();
+        
+        if (result.success) {
+            displayWorkdays(result.workdays);
+        }
+    } catch (error) {
+        console.error('Error loading workdays:', error);
+    }
+}
+
+// Finished workdays with their regular and overtime portions
+function displayWorkdays(workdays) {
+    const finished = workdays.filter(workday => workday.clockOut);
+    document.getElementById('workdayHistorySection').style.display = finished.length > 0 ? 'block' : 'none';
+    
+    document.getElementById('workdayList').innerHTML = finished.map(workday => `
+        <div class="history-item">
+            <div class="history-details">
+                <div><strong>${formatDate(workday.clockIn)}</strong> · ${formatTimeOfDay(workday.clockIn)} – ${formatTimeOfDay(workday.clockOut)}</div>
+                <div style="font-size: 0.9rem; color: #666;">Regular: ${workday.regularHours.toFixed(2)}h of ${workday.dailyHours}h</div>
+                <div style="font-size: 0.9rem; color: #666;">Overtime: ${workday.overtimeHours.toFixed(2)}h · ETB ${workday.overtimePay.toFixed(2)}</div>
+                ${workday.overtimeError ? `<div style="font-size: 0.9rem; color: #dc3545;">Overtime not started: ${escapeHtml(workday.overtimeError)}</div>` : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
+// Headers for the live session routes, which need the session token
+function sessionHeaders() {
+    return { 'X-Session-Token': currentSessionToken };
+}
+
+// A fresh token for a session that is still running, from
+// /api/active-session, or null
+async function fetchSessionToken(sessionId) {
+    try {
+        const response = await apiFetch('/api/active-session');
+        const result = await response.json();
+        if (result.success && result.session && result.session.id === sessionId) {
+            return result.sessionToken;
+        }
+    } catch (error) {
+        console.error('Error fetching a session token:', error);
+    }
+    return null;
+}
+
+// Get a fresh token for the running session after the server turned ours
+// down. Returns true when we got one.
+async function refreshSessionToken() {
+    if (!currentSession || isOfflineSession(currentSession)) return false;
+    
+    const sessionToken = await fetchSessionToken(currentSession);
+    if (!sessionToken) return false;
+    
+    sessionTokenRefreshed = true;
+    setCurrentSession(currentSession, sessionToken);
+    return true;
+}
+
+// A live session route. When the server turns our session token down (403),
+// get a fresh one and try once more.
+async function sessionFetch(url, options = {}) {
+    const send = () => apiFetch(url, { ...options, headers: { ...options.headers, ...sessionHeaders() } });
+    
+    const response = await send();
+    if (response.status === 403 && await refreshSessionToken()) {
+        return send();
+    }
+    return response;
+}
+
+// Subscribe to the running session's live earnings
+function joinSessionRoom() {
+    socket.emit('join-session', { sessionId: currentSession, token: currentSessionToken });
+}
+
+// The running session and its token, also saved in this browser so a reload
+// can find the session again. Sessions that only exist offline are found in
+// the offline queue instead.
+const ACTIVE_SESSION_KEY = 'ot_active_session';
+
+function setCurrentSession(sessionId, sessionToken = null) {
+    currentSession = sessionId;
+    currentSessionToken = sessionToken;
+    
+    if (sessionId && !isOfflineSession(sessionId)) {
+        localStorage.setItem(ACTIVE_SESSION_KEY, JSON.stringify({ sessionId, sessionToken }));
+    } else {
+        localStorage.removeItem(ACTIVE_SESSION_KEY);
+    }
+}
+
+function readSavedSession() {
+    try {
+        return JSON.parse(localStorage.getItem(ACTIVE_SESSION_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Pick the running session back up after a reload: one started offline and
+// not sent yet, the server's record of it, or (on a serverless deployment
+// that has forgotten it) the session token saved in this browser. The
+// workday's overtime is picked up by loadWorkday.
+async function loadActiveSession() {
+    const queue = readOfflineQueue().filter(item => item.userId === currentUser.id);
+    const offlineStart = queue.find(item => item.type === 'start' &&
+        !queue.some(other => other.type === 'stop' && other.sessionId === item.sessionId));
+    if (offlineStart) {
+        resumeOfflineSession(offlineStart);
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/active-session');
+        const result = await response.json();
+        if (!result.success) return;
+        
+        if (result.session) {
+            if (!result.session.workdayId) {
+                resumeCounter(result.session.id, result.sessionToken, result.status);
+            }
+            return;
+        }
+        
+        const saved = readSavedSession();
+        if (!saved) return;
+        
+        const statusResponse = await apiFetch(`/api/session-status/${saved.sessionId}`, {
+            headers: { 'X-Session-Token': saved.sessionToken }
+        });
+        const status = await statusResponse.json();
+        if (status.success && status.session.isActive) {
+            resumeCounter(saved.sessionId, saved.sessionToken, status.session);
+        } else {
+            localStorage.removeItem(ACTIVE_SESSION_KEY);
+        }
+    } catch (error) {
+        console.error('Error loading the active session:', error);
+    }
+}
+
+// Show the counter of a running session from its current figures and follow
+// its live updates
+function resumeCounter(sessionId, sessionToken, status) {
+    if (isCounterRunning) return;
+    
+    setCurrentSession(sessionId, sessionToken);
+    isCounterRunning = true;
+    showCounterSection();
+    disableFormInputs(true);
+    updateCounterDisplay(status);
+    
+    if (socket && socket.connected) {
+        joinSessionRoom();
+    } else {
+        startPollingFallback();
+    }
+    showMessage('Your overtime session is still running.', 'info');
+}
+
+// A session started offline before the reload keeps counting from its start
+function resumeOfflineSession(start) {
+    if (isCounterRunning) return;
+    
+    setCurrentSession(start.sessionId);
+    isCounterRunning = true;
+    resetCounterSnapshot({ ratePerSecond: start.ratePerSecond }, start.input.hours);
+    counterSnapshot.at = new Date(start.startedAt).getTime();
+    showCounterSection();
+    disableFormInputs(true);
+    showMessage('Your offline session is still counting on this device.', 'info');
+}
+
+// Pause or resume the running session. Uses the socket when connected
+// (the server answers with session-paused / session-resumed), REST otherwise.
+async function handlePauseResume(action) {
+    if (!currentSession) return;
+    
+    if (isOfflineSession(currentSession)) {
+        showMessage('Breaks can be taken once this session has been sent to the server.', 'warning');
+        return;
+    }
+    
+    if (socket && socket.connected) {
+        socket.emit(`${action}-session`, currentSession);
+        return;
+    }
+    
+    try {
+        const response = await sessionFetch(`/api/sessions/${currentSession}/${action}`, {
+            method: 'POST'
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            setCurrentSession(currentSession, result.sessionToken);
+            setPausedState(result.isPaused);
+            showMessage(result.isPaused ? 'Session paused. Break time is not paid.' : 'Session resumed!', result.isPaused ? 'info' : 'success');
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage(`Error trying to ${action} the session. Please try again.`, 'error');
+        console.error(`Session ${action} error:`, error);
+    }
+}
+
+// Toggle the counter between running and paused
+function setPausedState(isPaused) {
+    if (counterSnapshot && counterSnapshot.isPaused !== isPaused) {
+        counterSnapshot = { ...OvertimeEarnings.projectCounter(counterSnapshot, Date.now()), isPaused };
+    }
+    pauseBtn.style.display = isPaused ? 'none' : 'inline-flex';
+    resumeBtn.style.display = isPaused ? 'inline-flex' : 'none';
+    document.getElementById('currentEarnings').classList.toggle('paused', isPaused);
+}
+
+// Offline support. The counter carries on locally (shared/earnings.js) when
+// no update reaches the page, and sessions started or stopped without a
+// connection are queued in localStorage and sent once it returns.
+const OFFLINE_QUEUE_KEY = 'ot_offline_queue';
+const OFFLINE_CACHE_KEY = 'ot_offline_cache';
+const OFFLINE_SESSION_PREFIX = 'offline-';
+const STALE_COUNTER_MS = 2500; // count locally after this long without an update
+
+function registerServiceWorker() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+}
+
+// What the page needs offline: the user, the pay policy and the last hourly
+// rate the server worked out (with the pay fields it was for)
+function readOfflineCache() {
+    try {
+        return JSON.parse(localStorage.getItem(OFFLINE_CACHE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function updateOfflineCache(changes) {
+    localStorage.setItem(OFFLINE_CACHE_KEY, JSON.stringify({ ...readOfflineCache(), ...changes }));
+}
+
+// Queued actions: { type: 'start' | 'stop', sessionId, userId, ... }, at
+// most one of each type per session
+function readOfflineQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(OFFLINE_QUEUE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveOfflineQueue(queue) {
+    if (queue.length > 0) {
+        localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+    } else {
+        localStorage.removeItem(OFFLINE_QUEUE_KEY);
+    }
+}
+
+function queueOfflineAction(action) {
+    saveOfflineQueue([...readOfflineQueue(), { ...action, userId: currentUser.id }]);
+}
+
+function isOfflineSession(sessionId) {
+    return String(sessionId).startsWith(OFFLINE_SESSION_PREFIX);
+}
+
+// Figures to carry the counter on from, at the rate of the current segment
+function rememberCounter(data) {
+    const segments = data.segments || [];
+    const lastSegment = segments[segments.length - 1];
+    
+    counterSnapshot = {
+        currentEarnings: data.currentEarnings,
+        elapsedTime: data.elapsedTime,
+        remainingTime: data.remainingTime,
+        isOpenEnded: data.isOpenEnded,
+        isPaused: Boolean(data.isPaused),
+        ratePerSecond: lastSegment ? lastSegment.rate / 3600 : (counterSnapshot ? counterSnapshot.ratePerSecond : 0),
+        at: Date.now()
+    };
+}
+
+// The counter of a session that has just started
+function resetCounterSnapshot(calculation, hours) {
+    counterSnapshot = {
+        currentEarnings: 0,
+        elapsedTime: 0,
+        remainingTime: hours ? hours * 3600 : null,
+        isOpenEnded: !hours,
+        isPaused: false,
+        ratePerSecond: calculation.ratePerSecond,
+        at: Date.now()
+    };
+}
+
+// Every second, show the counter worked out on this device when the server
+// has gone quiet (always, for a session that only exists here)
+let localCounterInterval;
+
+function startLocalCounter() {
+    clearInterval(localCounterInterval);
+    
+    localCounterInterval = setInterval(() => {
+        if (!isCounterRunning || !counterSnapshot) return;
+        if (!isOfflineSession(currentSession) && Date.now() - counterSnapshot.at < STALE_COUNTER_MS) return;
+        
+        const counter = OvertimeEarnings.projectCounter(counterSnapshot, Date.now());
+        
+        // The server completes its own sessions; one started offline ends
+        // here, when its planned hours ran out
+        if (counter.isComplete && isOfflineSession(currentSession)) {
+            queueOfflineAction({
+                type: 'stop',
+                sessionId: currentSession,
+                stoppedAt: new Date(counterSnapshot.at + counterSnapshot.remainingTime * 1000).toISOString()
+            });
+            handleSessionComplete({
+                finalEarnings: counter.currentEarnings,
+                totalDuration: counter.elapsedTime
+            }, 'Overtime session completed! It will be recorded when you are back online.');
+            return;
+        }
+        
+        updateCounterDisplay({ ...counter, isProjected: true });
+    }, 1000);
+}
+
+// Start counting without the server. The session is priced with the last
+// hourly rate the server worked out for the same pay, and is started on the
+// server from the same moment when the connection returns.
+function startOfflineSession(formData) {
+    const cache = readOfflineCache();
+    const policy = payPolicy || cache.policy;
+    if (!cache.pay || cache.pay.params !== payParams().toString() || !policy) {
+        showMessage('You are offline, and the hourly rate for this pay isn\'t known yet. Connect once to start the session.', 'error');
+        return;
+    }
+    
+    const calculation = OvertimeEarnings.calculateOvertimePayFromRate(
+        cache.pay.hourlyRate,
+        formData.overtimeType,
+        formData.hours || 1,
+        policy.multipliers
+    );
+    const startedAt = new Date();
+    
+    setCurrentSession(`${OFFLINE_SESSION_PREFIX}${startedAt.getTime()}`);
+    isCounterRunning = true;
+    queueOfflineAction({
+        type: 'start',
+        sessionId: currentSession,
+        startedAt: startedAt.toISOString(),
+        hourlyRate: cache.pay.hourlyRate,
+        ratePerSecond: calculation.ratePerSecond, // to count on after a reload
+        input: formData
+    });
+    resetCounterSnapshot(calculation, formData.hours);
+    
+    displayCalculationResults(calculation);
+    showCounterSection();
+    disableFormInputs(true);
+    showMessage('You are offline. The session is counting on this device and will be sent to the server when the connection returns.', 'warning');
+}
+
+// Stop without the server; the stop is sent when the connection returns
+function stopOffline() {
+    queueOfflineAction({
+        type: 'stop',
+        sessionId: currentSession,
+        sessionToken: currentSessionToken,
+        stoppedAt: new Date().toISOString()
+    });
+    endCounter();
+    showMessage('Session stopped on this device. It will be recorded when you are back online.', 'info');
+}
+
+// Back to the form after the running session was stopped
+function endCounter() {
+    isCounterRunning = false;
+    setCurrentSession(null);
+    counterSnapshot = null;
+    stopPollingFallback();
+    document.getElementById('offlineNote').style.display = 'none';
+    showFormSection();
+    disableFormInputs(false);
+}
+
+function handleOnline() {
+    if (socket && !socket.connected) {
+        socket.connect();
+    }
+    syncOfflineQueue();
+}
+
+// Send this user's queued actions to the server, oldest first. Stops at the
+// first request that can't get through and tries again later.
+let syncingOfflineQueue = false;
+
+async function syncOfflineQueue() {
+    if (syncingOfflineQueue || !currentUser || !navigator.onLine) return;
+    syncingOfflineQueue = true;
+    let sent = 0;
+    
+    try {
+        let action;
+        while ((action = readOfflineQueue().find(item => item.userId === currentUser.id))) {
+            // A start with its stop queued too is sent with it
+            const stop = action.type === 'start'
+                ? readOfflineQueue().find(item => item.type === 'stop' && item.sessionId === action.sessionId)
+                : null;
+            const result = await sendOfflineAction(action, stop);
+            
+            // Not logged in (401), session token turned down (403) or a
+            // server failure (5xx): keep the action for the next sync. Only a
+            // success or a rejection of the action itself takes it off the
+            // queue.
+            if (!result.success && (result.status === 401 || result.status === 403 || result.status >= 500)) {
+                if (result.status !== 401) {
+                    showMessage('Overtime from while you were offline could not be sent yet. It will be tried again.', 'warning');
+                }
+                break;
+            }
+            
+            const done = [action, stop].filter(Boolean).map(item => `${item.type}:${item.sessionId}`);
+            saveOfflineQueue(readOfflineQueue().filter(item => !done.includes(`${item.type}:${item.sessionId}`)));
+            
+            if (result.success) {
+                sent++;
+            } else {
+                showMessage(`An overtime session from while you were offline could not be recorded: ${result.error}`, 'error');
+            }
+        }
+    } catch (error) {
+        console.error('Offline sync error:', error);
+    } finally {
+        syncingOfflineQueue = false;
+    }
+    
+    if (sent > 0) {
+        loadSessionHistory();
+        loadOvertimeTracking();
+        showMessage('Overtime from while you were offline has been sent to the server.', 'success');
+    }
+}
+
+// Replay one queued action. Resolves to the server's answer with the HTTP
+// status; rejects when the server can't be reached.
+async function sendOfflineAction(action, stop) {
+    const headers = { 'Content-Type': 'application/json' };
+    let url;
+    let body;
+    
+    if (action.type === 'start') {
+        // Started and stopped offline: the server starts the session as it
+        // was started, then ends it at the stop
+        url = '/api/start-session';
+        body = { ...action.input, startedAt: action.startedAt, stoppedAt: stop ? stop.stoppedAt : undefined };
+    } else {
+        url = `/api/stop-session/${action.sessionId}`;
+        body = { stoppedAt: action.stoppedAt };
+        headers['X-Session-Token'] = action.sessionToken;
+    }
+    
+    const send = () => apiFetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+    });
+    
+    let response = await send();
+    // A stop queued with a token the server no longer accepts
+    if (response.status === 403 && action.type === 'stop') {
+        const sessionToken = await fetchSessionToken(action.sessionId);
+        if (sessionToken) {
+            headers['X-Session-Token'] = sessionToken;
+            response = await send();
+        }
+    }
+    
+    const result = await response.json().catch(() => ({ error: `The server answered with status ${response.status}` }));
+    
+    if (result.success && action.type === 'start' && !stop) {
+        adoptSyncedSession(action.sessionId, result);
+    }
+    return { ...result, status: response.status };
+}
+
+// A session started offline now runs on the server: follow it there
+function adoptSyncedSession(localId, result) {
+    saveOfflineQueue(readOfflineQueue().map(item => (
+        item.sessionId === localId
+            ? { ...item, sessionId: result.sessionId, sessionToken: result.sessionToken }
+            : item
+    )));
+    
+    if (currentSession !== localId) return;
+    setCurrentSession(result.sessionId, result.sessionToken);
+    if (socket && socket.connected) {
+        joinSessionRoom();
+    } else {
+        startPollingFallback();
+    }
+}
+
+// Get form data
+function getFormData() {
+    const formData = new FormData(form);
+    const payAmount = parseFloat(formData.get('payAmount'));
+    const dailyHours = parseFloat(formData.get('dailyHours'));
+    const workingDays = parseFloat(formData.get('workingDaysPerMonth'));
+    
+    const hoursValue = formData.get('hours');
+    const hours = hoursValue ? parseFloat(hoursValue) : null;
+    
+    const data = {
+        // The server turns the pay into the hourly rate
+        payBasis: formData.get('payBasis'),
+        payAmount,
+        dailyHours,
+        workingDaysPerMonth: workingDays,
+        overtimeType: formData.get('overtimeType'),
+        hours: hours,
+        requestId: formData.get('requestId') || null,
+        emergency: null
+    };
+    
+    // Validate required fields
+    if (!payAmount || !dailyHours || !workingDays || !data.overtimeType) {
+        showMessage('Please fill in your pay, daily hours, working days, and overtime type.', 'error');
+        return null;
+    }
+    
+    // Validate pay
+    if (payAmount <= 0) {
+        showMessage('Pay must be greater than 0.', 'error');
+        return null;
+    }
+    
+    // Validate daily hours
+    if (dailyHours <= 0 || dailyHours > 24) {
+        showMessage('Daily hours must be between 0.5 and 24.', 'error');
+        return null;
+    }
+    
+    // Validate working days
+    if (workingDays <= 0 || workingDays > 31) {
+        showMessage('Working days per month must be between 1 and 31.', 'error');
+        return null;
+    }
+    
+    // Validate hours (if provided)
+    if (hours !== null && hours <= 0) {
+        showMessage('Overtime hours must be greater than 0.', 'error');
+        return null;
+    }
+    
+    // Emergency overtime needs a reason and a justification
+    if (document.getElementById('emergencyToggle').checked) {
+        data.emergency = {
+            category: formData.get('emergencyCategory'),
+            justification: formData.get('emergencyJustification').trim()
+        };
+        if (!data.emergency.category || !data.emergency.justification) {
+            showMessage('Choose the emergency reason and explain why the overtime was needed.', 'error');
+            return null;
+        }
+    }
+    
+    return data;
+}
+
+// Load the pay policy in effect today. The profile list only shows which
+// one an admin assigned us.
+async function loadPayPolicy() {
+    try {
+        const response = await apiFetch('/api/policy');
+        const result = await response.json();
+        
+        if (result.success) {
+            payPolicy = result.policy;
+            updateOfflineCache({ policy: result.policy });
+            policySetting.innerHTML = `<option value="">Default pay policy</option>` +
+                result.profiles.map(profile => `
+                    <option value="${profile.name}">${escapeHtml(profile.label)}</option>
+                `).join('');
+            policySetting.value = currentUser.settings.policyProfile || '';
+            displayPayPolicy(result.policy);
+        }
+    } catch (error) {
+        console.error('Error loading pay policy:', error);
+        payPolicy = payPolicy || readOfflineCache().policy || null;
+    }
+}
+
+// Show the policy's multipliers in the overtime type lists
+function displayPayPolicy(policy) {
+    ['overtimeType', 'manualType', 'requestType'].forEach(id => {
+        document.querySelectorAll(`#${id} option`).forEach(option => {
+            if (OVERTIME_TYPE_LABELS[option.value]) {
+                option.textContent = `${OVERTIME_TYPE_LABELS[option.value]} (${policy.multipliers[option.value]}x)`;
+            }
+        });
+    });
+    const workingDays = document.getElementById('workingDaysPerMonth');
+    if (!workingDays.value) {
+        workingDays.value = policy.workingDaysPerMonth;
+    }
+    document.getElementById('workingDaysHelp').textContent =
+        `${policy.label} uses ${policy.workingDaysPerMonth} days from ${formatDate(policy.effectiveFrom)}`;
+    updateHourlyRateDisplay();
+}
+
+// Label the pay amount field for the chosen pay basis
+function updatePayBasisLabel() {
+    const labels = {
+        monthly: ['Monthly Salary (ETB)', 'Enter your monthly salary'],
+        daily: ['Daily Wage (ETB)', 'Enter your daily wage'],
+        hourly: ['Hourly Wage (ETB)', 'Enter your hourly wage']
+    };
+    const [label, placeholder] = labels[document.getElementById('payBasis').value];
+    document.getElementById('payAmountLabel').textContent = label;
+    document.getElementById('payAmount').placeholder = placeholder;
+}
+
+// Update hourly rate display with the rate the server works out
+let hourlyRateLookup = 0;
+async function updateHourlyRateDisplay() {
+    const rateAmount = document.querySelector('.rate-amount');
+    const help = document.getElementById('hourlyRateHelp');
+    const params = payParams();
+    const lookup = ++hourlyRateLookup;
+    
+    try {
+        const response = await apiFetch(`/api/hourly-rate?${params}`);
+        const result = await response.json();
+        if (lookup !== hourlyRateLookup) return; // a newer lookup is on its way
+        
+        if (result.success) {
+            const pay = result.pay;
+            // Offline sessions are priced with the last rate worked out
+            updateOfflineCache({ pay: { params: params.toString(), hourlyRate: pay.hourlyRate } });
+            rateAmount.textContent = `ETB ${pay.hourlyRate.toFixed(2)}`;
+            help.textContent = {
+                monthly: `Salary ÷ (${pay.workingDaysPerMonth} working days × ${pay.dailyHours} hours)`,
+                daily: `Daily wage ÷ ${pay.dailyHours} hours`,
+                hourly: `About ETB ${pay.monthlyIncome.toFixed(2)} a month over ${pay.workingDaysPerMonth} working days`
+            }[pay.basis];
+        } else {
+            rateAmount.textContent = 'ETB 0.00';
+            help.textContent = 'Calculated from your pay and daily hours';
+        }
+    } catch (error) {
+        console.error('Error getting the hourly rate:', error);
+    }
+}
+
+// The pay fields of the form, as sent to /api/hourly-rate
+function payParams() {
+    return new URLSearchParams({
+        payBasis: document.getElementById('payBasis').value,
+        payAmount: document.getElementById('payAmount').value,
+        dailyHours: document.getElementById('dailyHours').value,
+        workingDaysPerMonth: document.getElementById('workingDaysPerMonth').value
+    });
+}
+
+// Validate form in real-time
+function validateForm() {
     const formData = getFormData();
     const isValid = formData !== null;
     
@@ -470,7 +1705,7 @@ function validateForm() {
 }
 
 // Display calculation results
-function displayCalculationResults(calculation, warnings = []) {
+function displayCalculationResults(calculation, warnings = [], deductions = null) {
     console.log('Displaying calculation results:', calculation);
     
     const hourlyRateEl = document.getElementById('hourlyRate');
@@ -490,12 +1725,33 @@ function displayCalculationResults(calculation, warnings = []) {
     if (totalPayEl) totalPayEl.textContent = `ETB ${calculation.totalPay.toFixed(2)}`;
     if (ratePerSecondEl) ratePerSecondEl.textContent = `ETB ${calculation.ratePerSecond.toFixed(4)}`;
     
+    displayDeductions(deductions);
+    
     // Display warnings if any
     displayWarnings(warnings);
     
     showResultsSection();
 }
 
+// Income tax and net pay next to the gross overtime pay
+function displayDeductions(deductions) {
+    const items = document.querySelectorAll('.deduction-item');
+    const note = document.getElementById('deductionNote');
+    
+    items.forEach(item => {
+        item.style.display = deductions ? 'flex' : 'none';
+    });
+    if (!deductions) {
+        note.textContent = '';
+        return;
+    }
+    
+    const taxRate = Math.round(deductions.marginalTaxRate * 100);
+    document.getElementById('overtimeTax').textContent = `ETB ${deductions.overtimeTax.toFixed(2)} (${taxRate}% bracket)`;
+    document.getElementById('netOvertimePay').textContent = `ETB ${deductions.netOvertimePay.toFixed(2)}`;
+    note.textContent = `This month: gross ETB ${deductions.monthly.grossIncome.toFixed(2)} − income tax ETB ${deductions.monthly.incomeTax.toFixed(2)} − pension (7% of salary) ETB ${deductions.monthly.pension.toFixed(2)} = net ETB ${deductions.monthly.netIncome.toFixed(2)}`;
+}
+
 // Display warnings
 function displayWarnings(warnings) {
     const warningsContainer = document.getElementById('warningsContainer');
@@ -504,7 +1760,7 @@ function displayWarnings(warnings) {
         warningsContainer.innerHTML = warnings.map(warning => 
             `<div class="warning-message">
                 <i class="fas fa-exclamation-triangle"></i>
-                ${warning}
+                ${escapeHtml(warning)}
             </div>`
         ).join('');
     } else {
@@ -512,15 +1768,32 @@ function displayWarnings(warnings) {
     }
 }
 
-// Update session display
+// Update session display. A session that ended while the socket was away
+// is shown as completed.
 function updateSessionDisplay(session) {
     if (session.isActive) {
         showCounterSection();
+        setPausedState(Boolean(session.isPaused));
+    } else if (isCounterRunning && session.id === currentSession) {
+        handleSessionComplete({
+            finalEarnings: session.finalPay,
+            totalDuration: session.duration
+        });
     }
 }
 
-// Update counter display
+// Update counter display. Figures from the server are remembered so the
+// local counter can carry on from them.
 function updateCounterDisplay(data) {
+    if (!data.isProjected) {
+        rememberCounter(data);
+    }
+    const offlineNote = document.getElementById('offlineNote');
+    offlineNote.style.display = data.isProjected ? 'block' : 'none';
+    offlineNote.textContent = navigator.onLine
+        ? 'No updates from the server: counting on this device'
+        : 'Offline: counting on this device';
+    
     const earningsElement = document.getElementById('currentEarnings');
     const elapsedElement = document.getElementById('elapsedTime');
     const remainingElement = document.getElementById('remainingTime');
@@ -531,9 +1804,27 @@ function updateCounterDisplay(data) {
     earningsElement.classList.add('updating');
     setTimeout(() => earningsElement.classList.remove('updating'), 500);
     
+    // Earnings after income tax, when the salary is known
+    const netElement = document.getElementById('netEarnings');
+    if (data.netEarnings !== undefined && data.netEarnings !== null) {
+        netElement.textContent = `Net so far: ETB ${data.netEarnings.toFixed(2)}`;
+        netElement.style.display = 'block';
+    } else {
+        netElement.style.display = 'none';
+    }
+    
     // Update time displays
     elapsedElement.textContent = formatTime(data.elapsedTime);
     
+    if (data.isPaused !== undefined) {
+        setPausedState(data.isPaused);
+    }
+    
+    // The rate switches as the session crosses night hours, rest days or holidays
+    if (data.currentType) {
+        document.getElementById('currentRate').textContent = `${formatOvertimeType(data.currentType)} (${data.currentMultiplier}x)`;
+    }
+    
     if (data.isOpenEnded) {
         remainingElement.textContent = '∞ (Open-ended)';
         remainingElement.style.color = '#28a745';
@@ -549,10 +1840,12 @@ function updateCounterDisplay(data) {
     }
 }
 
-// Handle session completion
-function handleSessionComplete(data) {
+// Handle session completion, or a stop at an overtime limit
+function handleSessionComplete(data, message = 'Overtime session completed!') {
     isCounterRunning = false;
-    currentSession = null;
+    setCurrentSession(null);
+    counterSnapshot = null;
+    document.getElementById('offlineNote').style.display = 'none';
     
     // Update final display
     document.getElementById('currentEarnings').textContent = `ETB ${data.finalEarnings.toFixed(2)}`;
@@ -562,17 +1855,33 @@ function handleSessionComplete(data) {
     document.getElementById('progressFill').style.width = '100%';
     
     // Show completion message
-    showMessage('Overtime session completed!', 'success');
+    showMessage(message, 'success');
     
-    // Return to form after delay
+    // Return to form (or the workday, which goes on) after delay
     setTimeout(() => {
-        showFormSection();
-        disableFormInputs(false);
+        if (currentWorkday) {
+            loadWorkday();
+        } else {
+            showFormSection();
+            disableFormInputs(false);
+        }
         loadSessionHistory();
         loadOvertimeTracking();
+        loadOvertimeRequests();
     }, 3000);
 }
 
+const OVERTIME_TYPE_LABELS = {
+    normal: 'Normal Day',
+    night: 'Night Shift',
+    sunday: 'Weekly Rest Day',
+    holiday: 'Public Holiday'
+};
+
+function formatOvertimeType(type) {
+    return OVERTIME_TYPE_LABELS[type] || type.charAt(0).toUpperCase() + type.slice(1);
+}
+
 // Format time in HH:MM:SS format
 function formatTime(seconds) {
     const hours = Math.floor(seconds / 3600);
@@ -582,23 +1891,55 @@ function formatTime(seconds) {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Format a date in the calendar the user picked in their settings
+function formatDate(value) {
+    const date = new Date(value);
+    
+    if (currentUser && currentUser.settings.calendar === 'ethiopian') {
+        return EthiopianCalendar.format(
+            EthiopianCalendar.toEthiopian(date.getFullYear(), date.getMonth() + 1, date.getDate())
+        );
+    }
+    
+    return date.toLocaleDateString();
+}
+
+function formatDateTime(value) {
+    return `${formatDate(value)} ${formatTimeOfDay(value)}`;
+}
+
+function formatTimeOfDay(value) {
+    return new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
 // Show/hide sections
 function showFormSection() {
     formSection.style.display = 'block';
     resultsSection.style.display = 'none';
     counterSection.style.display = 'none';
+    workdaySection.style.display = 'none';
 }
 
 function showResultsSection() {
     formSection.style.display = 'block';
     resultsSection.style.display = 'block';
     counterSection.style.display = 'none';
+    workdaySection.style.display = 'none';
 }
 
 function showCounterSection() {
+    setPausedState(false);
     formSection.style.display = 'none';
     resultsSection.style.display = 'none';
     counterSection.style.display = 'block';
+    workdaySection.style.display = 'none';
+}
+
+function showWorkdaySection() {
+    formSection.style.display = 'none';
+    resultsSection.style.display = 'none';
+    counterSection.style.display = 'none';
+    workdaySection.style.display = 'block';
 }
 
 // Disable/enable form inputs
@@ -616,13 +1957,21 @@ function disableFormInputs(disable) {
     } else {
         startBtn.style.display = 'inline-flex';
         stopBtn.style.display = 'none';
+        overtimeClockOutBtn.style.display = 'none';
+        
+        // An emergency is declared for one session only
+        const emergencyToggle = document.getElementById('emergencyToggle');
+        if (emergencyToggle.checked) {
+            emergencyToggle.checked = false;
+            emergencyToggle.dispatchEvent(new Event('change'));
+        }
     }
 }
 
 // Load session history
 async function loadSessionHistory() {
     try {
-        const response = await fetch('/api/sessions');
+        const response = await apiFetch('/api/sessions');
         const result = await response.json();
         
         if (result.success) {
@@ -633,14 +1982,368 @@ async function loadSessionHistory() {
     }
 }
 
+// Value for a datetime-local input, in the browser's timezone
+function toDateTimeLocal(value) {
+    const date = new Date(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Show the manual entry form, empty for a new session or filled in to edit one
+function openManualEntry(session = null) {
+    const latest = sessionHistory[0];
+    
+    document.getElementById('manualEntryTitle').textContent = session ? 'Edit Session' : 'Add Past Session';
+    document.getElementById('manualSessionId').value = session ? session.id : '';
+    document.getElementById('manualStart').value = session ? toDateTimeLocal(session.startTime) : '';
+    document.getElementById('manualEnd').value = session ? toDateTimeLocal(session.endTime) : '';
+    document.getElementById('manualType').value = session ? session.overtimeType : 'normal';
+    // New entries default to the rate of the most recent session
+    const rate = session ? session.hourlyRate : latest?.hourlyRate;
+    document.getElementById('manualRate').value = rate ? rate.toFixed(2) : '';
+    
+    manualEntryForm.style.display = 'block';
+    document.getElementById('manualStart').focus();
+}
+
+function closeManualEntry() {
+    manualEntryForm.reset();
+    manualEntryForm.style.display = 'none';
+}
+
+// Save a manual entry or edit; the server recomputes pay and limits
+async function handleManualEntrySubmit(e) {
+    e.preventDefault();
+    
+    const sessionId = document.getElementById('manualSessionId').value;
+    const startValue = document.getElementById('manualStart').value;
+    const endValue = document.getElementById('manualEnd').value;
+    const data = {
+        startTime: startValue ? new Date(startValue).toISOString() : null,
+        endTime: endValue ? new Date(endValue).toISOString() : null,
+        overtimeType: document.getElementById('manualType').value,
+        hourlyRate: parseFloat(document.getElementById('manualRate').value)
+    };
+    
+    showLoading(true);
+    
+    try {
+        const response = await apiFetch(sessionId ? `/api/sessions/${sessionId}` : '/api/sessions', {
+            method: sessionId ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(data)
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            closeManualEntry();
+            loadSessionHistory();
+            loadOvertimeTracking();
+            const saved = sessionId ? 'Session updated!' : 'Session added!';
+            if (result.warnings && result.warnings.length > 0) {
+                showMessage(`${saved} ${result.warnings.join(' ')}`, 'info');
+            } else {
+                showMessage(saved, 'success');
+            }
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage('Error saving session. Please try again.', 'error');
+        console.error('Manual entry error:', error);
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function handleDeleteSession(session) {
+    if (!confirm(`Delete the session started ${formatDateTime(session.startTime)}?`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/sessions/${session.id}`, {
+            method: 'DELETE'
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            loadSessionHistory();
+            loadOvertimeTracking();
+            showMessage('Session deleted.', 'success');
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage('Error deleting session. Please try again.', 'error');
+        console.error('Session delete error:', error);
+    }
+}
+
+// Import sessions from a JSON export or a CSV file. The server checks each
+// row and reports what happened to it.
+async function handleImport(file) {
+    let body;
+    try {
+        const text = await file.text();
+        if (file.name.toLowerCase().endsWith('.json')) {
+            const data = JSON.parse(text);
+            body = { sessions: Array.isArray(data) ? data : data.sessions };
+        } else {
+            body = { csv: text };
+        }
+    } catch (error) {
+        showMessage('Could not read that file. Please choose a JSON or CSV export.', 'error');
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const response = await apiFetch('/api/sessions/import', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            displayImportResults(result);
+            loadSessionHistory();
+            loadOvertimeTracking();
+            showMessage(`Imported ${result.imported} session(s).`, result.failed > 0 ? 'info' : 'success');
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage('Error importing sessions. Please try again.', 'error');
+        console.error('Import error:', error);
+    } finally {
+        showLoading(false);
+    }
+}
+
+function displayImportResults(result) {
+    const container = document.getElementById('importResults');
+    const problems = result.results.filter(row => row.status !== 'imported');
+    
+    container.innerHTML = `
+        <div>Imported ${result.imported}, skipped ${result.duplicates} duplicate(s), ${result.failed} row(s) with errors.</div>
+        ${problems.length > 0 ? `<ul>${problems.map(row => `
+            <li class="row-${row.status}">Row ${row.row}: ${escapeHtml(row.error)}</li>
+        `).join('')}</ul>` : ''}
+    `;
+    container.style.display = 'block';
+}
+
+// Today's date as 'YYYY-MM-DD'
+function todayKey() {
+    const now = new Date();
+    const pad = number => String(number).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// Load our overtime requests and whether sessions need one
+async function loadOvertimeRequests() {
+    try {
+        const response = await apiFetch('/api/overtime-requests');
+        const result = await response.json();
+        
+        if (result.success) {
+            overtimeRequests = result.requests;
+            approvalRequired = result.approvalRequired;
+            displayOvertimeRequests(result.requests);
+            populateApprovedRequests();
+        }
+    } catch (error) {
+        console.error('Error loading overtime requests:', error);
+    }
+}
+
+function displayOvertimeRequests(requests) {
+    const requestList = document.getElementById('requestList');
+    
+    if (requests.length === 0) {
+        requestList.innerHTML = '<p style="text-align: center; color: #666; padding: 20px;">No overtime requests yet</p>';
+        return;
+    }
+    
+    requestList.innerHTML = requests.map(request => {
+        const approved = request.status === 'approved'
+            ? `<div style="font-size: 0.9rem; color: #666;">Approved: ${request.approvedHours}h by ${request.decidedByName} · ${request.remainingHours.toFixed(2)}h left</div>`
+            : '';
+        const note = request.decisionNote
+            ? `<div style="font-size: 0.9rem; color: #666;">Note: ${escapeHtml(request.decisionNote)}</div>`
+            : '';
+        const cancel = request.status === 'pending'
+            ? `<div class="history-actions"><button type="button" data-cancel-request="${request.id}" title="Withdraw request"><i class="fas fa-times"></i></button></div>`
+            : '';
+        
+        return `
+            <div class="history-item">
+                <div class="history-details">
+                    <div><strong>${formatDate(request.date)}</strong> · ${request.hours}h ${formatOvertimeType(request.overtimeType)}</div>
+                    <div style="font-size: 0.9rem; color: #666;">${escapeHtml(request.reason)}</div>
+                    ${approved}
+                    ${note}
+                </div>
+                <div class="history-side">
+                    <span class="request-status ${request.status}">${request.status}</span>${cancel}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Today's approved requests with hours left can back a new session
+function populateApprovedRequests() {
+    const select = document.getElementById('approvedRequest');
+    const usable = overtimeRequests.filter(request => (
+        request.status === 'approved' && request.date === todayKey() && request.remainingHours > 0
+    ));
+    const selected = select.value;
+    
+    select.innerHTML = `<option value="">${approvalRequired ? 'Choose an approved request' : 'No request'}</option>` +
+        usable.map(request => `
+            <option value="${request.id}">${request.remainingHours.toFixed(2)}h ${formatOvertimeType(request.overtimeType)} left · ${escapeHtml(request.reason)}</option>
+        `).join('');
+    if (usable.some(request => request.id === selected)) {
+        select.value = selected;
+    }
+    
+    document.getElementById('approvedRequestGroup').style.display = approvalRequired || usable.length > 0 ? 'block' : 'none';
+    document.getElementById('approvedRequestHelp').textContent = approvalRequired
+        ? 'Overtime must be approved in advance. The approved hours cap the session.'
+        : 'Optional. The approved hours cap the session.';
+}
+
+async function handleRequestSubmit(e) {
+    e.preventDefault();
+    
+    try {
+        const response = await apiFetch('/api/overtime-requests', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                date: document.getElementById('requestDate').value,
+                hours: parseFloat(document.getElementById('requestHours').value),
+                overtimeType: document.getElementById('requestType').value,
+                reason: document.getElementById('requestReason').value
+            })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            document.getElementById('requestForm').reset();
+            document.getElementById('requestDate').value = todayKey();
+            loadOvertimeRequests();
+            showMessage('Overtime request sent for approval.', 'success');
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage('Error sending the request. Please try again.', 'error');
+        console.error('Overtime request error:', error);
+    }
+}
+
+async function handleCancelRequest(requestId) {
+    try {
+        const response = await apiFetch(`/api/overtime-requests/${requestId}`, {
+            method: 'DELETE'
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            loadOvertimeRequests();
+            showMessage('Request withdrawn.', 'success');
+        } else {
+            showMessage(result.error, 'error');
+        }
+    } catch (error) {
+        showMessage('Error withdrawing the request. Please try again.', 'error');
+        console.error('Cancel request error:', error);
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Statement period defaults to the current month
+function setDefaultStatementPeriod() {
+    const now = new Date();
+    const pad = number => String(number).padStart(2, '0');
+    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+    const month = `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+    document.getElementById('statementFrom').value = `${month}-01`;
+    document.getElementById('statementTo').value = `${month}-${pad(lastDay)}`;
+}
+
+// The login cookie goes along with a plain navigation, and the server sends
+// the statement as a download so the page stays put
+function downloadStatement(format) {
+    const from = document.getElementById('statementFrom').value;
+    const to = document.getElementById('statementTo').value;
+    
+    if (!from || !to || from > to) {
+        showMessage('Please choose a valid statement period.', 'error');
+        return;
+    }
+    
+    window.location.href = `/api/reports/statement?format=${format}&from=${from}&to=${to}`;
+}
+
+// Check the public holiday calendar and preselect the holiday rate
+async function loadHolidayToday() {
+    try {
+        const response = await apiFetch('/api/holidays/today');
+        const result = await response.json();
+        
+        if (!result.success) return;
+        
+        const hint = document.getElementById('holidayHint');
+        if (result.holiday) {
+            document.getElementById('overtimeType').value = 'holiday';
+            hint.textContent = `Today is ${result.holiday.name} (public holiday)`;
+            hint.style.display = 'block';
+            validateForm();
+        } else {
+            hint.style.display = 'none';
+        }
+    } catch (error) {
+        console.error('Error loading holiday calendar:', error);
+    }
+}
+
+// The server may switch the overtime type to match the holiday calendar
+function applyServerOvertimeType(overtimeType) {
+    const select = document.getElementById('overtimeType');
+    if (overtimeType && select.value !== overtimeType) {
+        select.value = overtimeType;
+    }
+}
+
 // Load overtime tracking
 async function loadOvertimeTracking() {
     try {
-        const response = await fetch('/api/overtime-tracking');
+        const response = await apiFetch('/api/overtime-tracking');
         const result = await response.json();
         
         if (result.success) {
             displayOvertimeTracking(result.tracking, result.limits);
+            displayLimitPolicy(result.limitPolicy);
         }
     } catch (error) {
         console.error('Error loading overtime tracking:', error);
@@ -649,71 +2352,138 @@ async function loadOvertimeTracking() {
 
 // Display overtime tracking
 function displayOvertimeTracking(tracking, limits) {
-    document.getElementById('weeklyHours').textContent = `${tracking.weekly.toFixed(1)} hours`;
-    document.getElementById('yearlyHours').textContent = `${tracking.yearly.toFixed(1)} hours`;
+    const windows = [
+        { valueId: 'todayHours', limitId: 'dailyLimit', hours: tracking.daily, limit: limits.MAX_HOURS_PER_DAY },
+        { valueId: 'weeklyHours', limitId: 'weeklyLimit', hours: tracking.weekly, limit: limits.MAX_HOURS_PER_WEEK },
+        { valueId: 'yearlyHours', limitId: 'yearlyLimit', hours: tracking.yearly, limit: limits.MAX_HOURS_PER_YEAR }
+    ];
     
-    // Add visual indicators for approaching limits
-    const weeklyElement = document.getElementById('weeklyHours').parentElement;
-    const yearlyElement = document.getElementById('yearlyHours').parentElement;
+    windows.forEach(item => {
+        const valueElement = document.getElementById(item.valueId);
+        valueElement.textContent = `${item.hours.toFixed(1)} hours`;
+        document.getElementById(item.limitId).textContent = `/ ${item.limit} hours limit`;
+        
+        // Add visual indicators for approaching limits
+        const itemElement = valueElement.parentElement;
+        itemElement.className = 'tracking-item';
+        
+        if (item.hours >= item.limit) {
+            itemElement.classList.add('limit-exceeded');
+        } else if (item.hours >= item.limit * 0.8) {
+            itemElement.classList.add('limit-warning');
+        }
+    });
     
-    // Reset classes
-    weeklyElement.className = 'tracking-item';
-    yearlyElement.className = 'tracking-item';
+    document.getElementById('yearlyLabel').textContent = `This Year (${tracking.yearLabel}):`;
     
-    // Check weekly limit
-    if (tracking.weekly >= limits.MAX_HOURS_PER_WEEK) {
-        weeklyElement.classList.add('limit-exceeded');
-    } else if (tracking.weekly >= limits.MAX_HOURS_PER_WEEK * 0.8) {
-        weeklyElement.classList.add('limit-warning');
-    }
+    // Emergency hours are shown apart from the limits
+    const emergency = tracking.emergency || { daily: 0, weekly: 0, yearly: 0 };
+    const emergencyElement = document.getElementById('emergencyHours');
+    emergencyElement.style.display = emergency.yearly > 0 ? 'block' : 'none';
+    emergencyElement.textContent = `Emergency overtime (not counted towards the limits): ${emergency.daily.toFixed(1)}h today, ${emergency.weekly.toFixed(1)}h this week, ${emergency.yearly.toFixed(1)}h this year`;
     
-    // Check yearly limit
-    if (tracking.yearly >= limits.MAX_HOURS_PER_YEAR) {
-        yearlyElement.classList.add('limit-exceeded');
-    } else if (tracking.yearly >= limits.MAX_HOURS_PER_YEAR * 0.8) {
-        yearlyElement.classList.add('limit-warning');
-    }
+    displayWeekBreakdown(tracking.week || [], tracking.today, limits.MAX_HOURS_PER_DAY);
+}
+
+// Explain what happens at the legal limits
+function displayLimitPolicy(policy) {
+    const notes = {
+        warn: 'Going past a limit shows a warning.',
+        block: 'Sessions that would go past a limit can\'t be started or entered.',
+        'auto-stop': 'Running sessions stop automatically when an allowance runs out, and past sessions over a limit can\'t be entered.'
+    };
+    document.getElementById('limitPolicyNote').textContent = notes[policy] || '';
+}
+
+// Display per-day totals for the current week
+function displayWeekBreakdown(week, today, dailyLimit) {
+    document.getElementById('weekBreakdown').innerHTML = week.map(day => {
+        const classes = ['week-day'];
+        if (day.date === today) classes.push('today');
+        if (day.hours > dailyLimit) classes.push('limit-exceeded');
+        
+        return `
+            <div class="${classes.join(' ')}">
+                <span class="week-day-name">${day.weekday.slice(0, 3)}</span>
+                <span class="week-day-hours">${day.hours.toFixed(1)}h</span>
+            </div>
+        `;
+    }).join('');
 }
 
 // Display session history
 function displaySessionHistory(sessions) {
-    const historyList = document.getElementById('historyList');
+    // Sort sessions by start time (newest first)
+    sessions.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+    sessionHistory = sessions;
+    
+    // Stays visible when empty so past sessions can still be added
+    historySection.style.display = 'block';
     
     if (sessions.length === 0) {
         historyList.innerHTML = '<p style="text-align: center; color: #666; padding: 20px;">No sessions found</p>';
-        historySection.style.display = 'none';
         return;
     }
     
-    // Sort sessions by start time (newest first)
-    sessions.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
-    
     historyList.innerHTML = sessions.map(session => {
-        const startTime = new Date(session.startTime).toLocaleString();
+        const startTime = formatDateTime(session.startTime);
         const duration = session.duration ? formatTime(session.duration) : 'In Progress';
-        const earnings = session.currentEarnings || session.calculation.totalPay;
+        const earnings = session.finalPay ?? session.currentEarnings ?? 0;
         const status = session.isActive ? 'Active' : 'Completed';
         const statusClass = session.isActive ? 'active' : 'completed';
         const hourlyRate = session.hourlyRate || session.calculation?.hourlyRate || 0;
         const isOpenEnded = session.isOpenEnded || !session.totalHours;
         const sessionType = isOpenEnded ? 'Open-ended' : 'Fixed Duration';
+        const plannedHours = isOpenEnded ? 'Open-ended' : `${session.totalHours.toFixed(2)}h`;
+        const actualHours = session.isActive ? 'In Progress' : `${(session.actualHours ?? session.duration / 3600).toFixed(2)}h`;
+        const breaks = (session.breaks || []).filter(pause => pause.end);
+        const breakSeconds = breaks.reduce((sum, pause) => sum + (new Date(pause.end) - new Date(pause.start)) / 1000, 0);
+        const breakInfo = breaks.length > 0
+            ? `<div style="font-size: 0.9rem; color: #666;">Breaks: ${breaks.length} (${formatTime(breakSeconds)} unpaid)</div>`
+            : '';
+        const proratedNote = session.isProrated ? ' <span class="prorated">(stopped early, prorated)</span>' : '';
+        const manualTag = session.isManual ? ' <span class="manual-tag">(entered manually)</span>' : '';
+        const emergencyTag = session.emergency
+            ? ` <span class="emergency-tag"><i class="fas fa-exclamation-triangle"></i> Emergency: ${EMERGENCY_CATEGORIES[session.emergency.category] || session.emergency.category}</span>`
+            : '';
+        const emergencyInfo = session.emergency
+            ? `<div style="font-size: 0.9rem; color: #666;">Justification: ${escapeHtml(session.emergency.justification)} (not counted towards limits)</div>`
+            : '';
+        // Running sessions can't be changed until they are stopped
+        const actions = session.isActive ? '' : `
+                    <div class="history-actions">
+                        <button type="button" data-action="edit" data-session-id="${session.id}" title="Edit session"><i class="fas fa-pen"></i></button>
+                        <button type="button" data-action="delete" data-session-id="${session.id}" title="Delete session"><i class="fas fa-trash"></i></button>
+                    </div>`;
+        // Only worth showing when part of the session was paid at another rate
+        const segments = session.segments || [];
+        const hasRateChanges = segments.some(segment => segment.type !== session.overtimeType);
+        const segmentBreakdown = hasRateChanges
+            ? `<div class="segment-breakdown">${segments.map(segment => `
+                <div>${formatOvertimeType(segment.type)} ${segment.multiplier}x · ${segment.hours.toFixed(2)}h × ETB ${segment.rate.toFixed(2)} = ETB ${segment.subtotal.toFixed(2)}</div>
+            `).join('')}</div>`
+            : '';
         
         return `
             <div class="history-item">
                 <div class="history-details">
-                    <div><strong>${session.overtimeType.charAt(0).toUpperCase() + session.overtimeType.slice(1)} Overtime</strong></div>
+                    <div><strong>${formatOvertimeType(session.overtimeType)} Overtime</strong>${manualTag}${emergencyTag}</div>
                     <div style="font-size: 0.9rem; color: #666;">Started: ${startTime}</div>
                     <div style="font-size: 0.9rem; color: #666;">Duration: ${duration}</div>
                     <div style="font-size: 0.9rem; color: #666;">Type: ${sessionType}</div>
+                    <div style="font-size: 0.9rem; color: #666;">Planned: ${plannedHours} · Actual: ${actualHours}${proratedNote}</div>
+                    ${breakInfo}
+                    ${emergencyInfo}
                     <div style="font-size: 0.9rem; color: #666;">Hourly Rate: ETB ${hourlyRate.toFixed(2)}</div>
                     <div style="font-size: 0.9rem; color: #666;">Status: <span class="${statusClass}">${status}</span></div>
+                    ${segmentBreakdown}
+                </div>
+                <div class="history-side">
+                    <div class="history-amount">ETB ${earnings.toFixed(2)}</div>${actions}
                 </div>
-                <div class="history-amount">ETB ${earnings.toFixed(2)}</div>
             </div>
         `;
     }).join('');
-    
-    historySection.style.display = 'block';
 }
 
 // Show loading overlay
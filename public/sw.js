@@ -0,0 +1,71 @@
+// Service worker: keeps the page and its scripts available offline so the
+// counter can run without a connection. Pages and scripts are fetched from
+// the network first and the cached copy is used when that fails; API calls
+// and Socket.io are never cached.
+
+const CACHE_NAME = 'overtime-clock-v2';
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/script.js',
+    '/manifest.json',
+    '/icon.svg',
+    '/shared/ethiopian-calendar.js',
+    '/shared/earnings.js'
+];
+// Served by Socket.io, so missing where it doesn't run (Vercel). Cached when
+// it can be, without failing the install when it can't.
+const OPTIONAL_FILES = [
+    '/socket.io/socket.io.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL)
+                .then(() => Promise.all(OPTIONAL_FILES.map(url => cache.add(url).catch(() => null)))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    const isLive = url.pathname.startsWith('/api/') ||
+        (url.pathname.startsWith('/socket.io/') && url.pathname !== '/socket.io/socket.io.js');
+
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || isLive) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(event.request, { ignoreSearch: true })
+                .then(cached => cached || (event.request.mode === 'navigate' ? caches.match('/index.html') : Response.error())))
+    );
+});
+
+// Clicking a session alert brings the page back
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(windows => (windows.length > 0 ? windows[0].focus() : self.clients.openWindow('/')))
+    );
+});
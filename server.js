@@ -1,8 +1,29 @@
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const { createStore } = require('./lib/storage');
+const { AUTH_COOKIE, TOKEN_TTL_MS, createAuth, publicUser } = require('./lib/auth');
+const { sessionWorkedIntervals, summarizeOvertime } = require('./lib/tracking');
+const { getUserSettings, validateSettingsUpdate, validatePolicyProfile, validateRestDay } = require('./lib/settings');
+const { createHolidayCalendar } = require('./lib/holidays');
+const { MS_PER_HOUR, WEEKDAYS, localParts, localDateKey, parseWeekday, startOfLocalDay } = require('./lib/time');
+const { parseClock, segmentIntervals } = require('./lib/segments');
+const { calculateDeductions } = require('./lib/deductions');
+const statements = require('./lib/statement');
+const sessionTransfer = require('./lib/session-transfer');
+const { createTeams } = require('./lib/teams');
+const { createOvertimeRequests } = require('./lib/overtime-requests');
+const { EMERGENCY_CATEGORIES, parseEmergency, sameEmergency } = require('./lib/emergency');
+const { createAuditLog } = require('./lib/audit');
+const { OVERTIME_TYPES, loadPolicies } = require('./lib/policies');
+const { PAY_BASES, parsePay } = require('./lib/pay');
+const { createWorkdays } = require('./lib/workdays');
+const { dueAlerts } = require('./lib/alerts');
+const { createSessionTokens } = require('./lib/session-token');
+const { calculateOvertimePayFromRate } = require('./shared/earnings');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,300 +43,2259 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // room for session imports
 app.use(express.static('public'));
+// Modules shared between the server and the browser
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
 
-// In-memory storage for sessions
-const sessions = new Map();
+// Persistent storage for sessions and user accounts (see lib/storage)
+const store = createStore();
 
-// Track overtime hours per user (in a real app, this would be in a database)
-const userOvertimeTracking = new Map();
+// Key that signs login and live session tokens (see lib/signed-token.js).
+// Every instance must share it, so it is required on Vercel; a long-running
+// server makes one up when it isn't set. Its session tokens then end with the
+// process, while logins carry on through the records in the store.
+const SESSION_SECRET = process.env.SESSION_SECRET || null;
 
-// Ethiopian Labor Law Constants (Labor Proclamation No. 1156/2019)
-const OVERTIME_LIMITS = {
-  MAX_HOURS_PER_DAY: 4,
-  MAX_HOURS_PER_WEEK: 12,
-  MAX_HOURS_PER_YEAR: 100
-};
+if (!SESSION_SECRET && process.env.VERCEL) {
+  throw new Error('SESSION_SECRET must be set on Vercel so every instance accepts the same tokens');
+}
+
+const tokenSecret = SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Administrators manage what is shared by everyone, such as the public
+// holiday calendar. ADMIN_USER_IDS is a comma-separated list of user ids.
+const auth = createAuth(store, {
+  secret: tokenSecret,
+  adminUserIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+});
+const holidays = createHolidayCalendar(store);
+const teams = createTeams(store);
+const auditLog = createAuditLog(store);
+const workdays = createWorkdays(store);
 
-const OVERTIME_MULTIPLIERS = {
-  'normal': 1.5,
-  'night': 1.75,
-  'sunday': 2.0,
-  'holiday': 2.5
+// Night hours and weekly rest day used to split sessions into rate segments
+// when a pay policy profile doesn't set its own (night hours default to
+// 22:00-06:00, rest day to Sunday)
+const SCHEDULE_DEFAULTS = {
+  nightStart: parseClock(process.env.NIGHT_START, 22 * 60),
+  nightEnd: parseClock(process.env.NIGHT_END, 6 * 60),
+  restDay: parseWeekday(process.env.REST_DAY, 0)
 };
 
+// Pay policy profiles: multipliers, limits and working days per month
+// (see lib/policies.js). The legal minimum of Labour Proclamation
+// No. 1156/2019 ships in config/policies. POLICY_PROFILE is used by everyone
+// who hasn't chosen another profile in their settings.
+const policies = loadPolicies({
+  dir: process.env.POLICY_DIR || path.join(__dirname, 'config', 'policies'),
+  defaultProfile: process.env.POLICY_PROFILE || 'ethiopia-legal',
+  defaults: SCHEDULE_DEFAULTS
+});
+
+// How the public holiday calendar is applied when a session starts:
+//   suggest - keep the chosen type, but propose the right one (default)
+//   enforce - holidays always use the holiday rate, other days can't
+const HOLIDAY_MODE = process.env.HOLIDAY_MODE || 'suggest';
+
+if (!['suggest', 'enforce'].includes(HOLIDAY_MODE)) {
+  throw new Error(`Unknown HOLIDAY_MODE "${HOLIDAY_MODE}" (expected suggest or enforce)`);
+}
+
+// Whether overtime must be approved before it is worked. When on, sessions
+// can only be started or entered against an approved overtime request, and
+// the request's approved hours cap them.
+const REQUIRE_APPROVAL = process.env.REQUIRE_APPROVAL || 'false';
+
+if (!['true', 'false'].includes(REQUIRE_APPROVAL)) {
+  throw new Error(`Invalid REQUIRE_APPROVAL "${REQUIRE_APPROVAL}" (expected true or false)`);
+}
+
+// What happens when overtime would go past the daily, weekly or yearly limit:
+//   warn      - allow it with a warning (default)
+//   block     - refuse to start, enter or import sessions that break a limit
+//   auto-stop - like block for past sessions; running sessions are stopped
+//               the moment an allowance runs out
+const LIMIT_POLICIES = ['warn', 'block', 'auto-stop'];
+const LIMIT_POLICY = process.env.LIMIT_POLICY || 'warn';
+
+if (!LIMIT_POLICIES.includes(LIMIT_POLICY)) {
+  throw new Error(`Unknown LIMIT_POLICY "${LIMIT_POLICY}" (expected one of: ${LIMIT_POLICIES.join(', ')})`);
+}
+
+const sessionTokens = createSessionTokens(tokenSecret);
+
+const overtimeRequests = createOvertimeRequests(store, {
+  overtimeTypes: OVERTIME_TYPES
+});
+
 // Validation functions
-function validateOvertimeHours(hours, type, userId = 'default') {
+// Options: `at` checks the windows containing that date instead of now
+// (for past sessions), `excludeSessionId` leaves out a session being edited.
+// `live` marks a session that is about to run, which auto-stop can still cut
+// short, and `openEnded` one without planned hours (only an allowance that
+// is already used up stops it from starting). `emergency` sessions are
+// exempt from the limits.
+function validateOvertimeHours(hours, type, userId, options = {}) {
+  const { live = false, openEnded = false, emergency = false } = options;
   const errors = [];
   const warnings = [];
   
-  if (hours <= 0) {
-    errors.push('Overtime hours must be greater than 0');
+  if (hours <= 0) {
+    errors.push('Overtime hours must be greater than 0');
+  }
+  
+  // Totals for the calendar day, week and year of the session, against the
+  // limits of the user's pay policy on that day
+  const userTracking = getUserTracking(userId, options);
+  const limits = policyFor(userId, options.at).limits;
+  const exceeded = [];
+  
+  // Check daily limit
+  const newDailyTotal = userTracking.daily + hours;
+  if (newDailyTotal > limits.MAX_HOURS_PER_DAY) {
+    exceeded.push(`Exceeding legal limit of ${limits.MAX_HOURS_PER_DAY} hours per day (that day: ${userTracking.daily.toFixed(1)}h + ${hours}h = ${newDailyTotal.toFixed(1)}h)`);
+  }
+  
+  // Check weekly limit
+  const newWeeklyTotal = userTracking.weekly + hours;
+  if (newWeeklyTotal > limits.MAX_HOURS_PER_WEEK) {
+    exceeded.push(`This would exceed weekly limit of ${limits.MAX_HOURS_PER_WEEK} hours (current: ${userTracking.weekly.toFixed(1)}h + ${hours}h = ${newWeeklyTotal.toFixed(1)}h)`);
+  }
+  
+  // Check yearly limit
+  const newYearlyTotal = userTracking.yearly + hours;
+  if (newYearlyTotal > limits.MAX_HOURS_PER_YEAR) {
+    exceeded.push(`This would exceed yearly limit of ${limits.MAX_HOURS_PER_YEAR} hours (current: ${userTracking.yearly.toFixed(1)}h + ${hours}h = ${newYearlyTotal.toFixed(1)}h)`);
+  }
+  
+  const exhausted = exhaustedLimit(remainingAllowance(userTracking, limits), limits);
+  if (emergency) {
+    warnings.push('Emergency overtime: these hours are recorded separately and not counted towards the legal limits');
+  } else if (LIMIT_POLICY !== 'warn' && exhausted) {
+    errors.push(`No overtime allowance left: the ${exhausted.period} limit of ${exhausted.maxHours} hours is used up`);
+  } else if (LIMIT_POLICY === 'block' && !openEnded) {
+    errors.push(...exceeded);
+  } else if (LIMIT_POLICY === 'auto-stop' && !live) {
+    errors.push(...exceeded);
+  } else {
+    warnings.push(...exceeded.map(message => `⚠️ Warning: ${message}`));
+    if (exceeded.length > 0 && LIMIT_POLICY === 'auto-stop') {
+      warnings.push('⚠️ The session will be stopped automatically when your overtime allowance runs out');
+    }
+  }
+  
+  if (hours > 8) {
+    warnings.push('⚠️ Warning: Very high overtime hours may not be sustainable');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+// Check the chosen overtime type against the public holiday calendar for
+// `date`; `multipliers` are those of the pay policy in effect
+function checkHolidayType(overtimeType, date, multipliers) {
+  const holiday = holidays.holidayOn(date);
+  const result = { overtimeType, holiday, suggestedOvertimeType: null, warnings: [] };
+  
+  if (holiday && overtimeType !== 'holiday') {
+    if (HOLIDAY_MODE === 'enforce') {
+      result.overtimeType = 'holiday';
+      result.warnings.push(`📅 ${holiday.date} is ${holiday.name}, a public holiday, so the Public Holiday rate (${multipliers.holiday}x) applies`);
+    } else {
+      result.suggestedOvertimeType = 'holiday';
+      result.warnings.push(`📅 ${holiday.date} is ${holiday.name}. The Public Holiday rate (${multipliers.holiday}x) should apply`);
+    }
+  } else if (!holiday && overtimeType === 'holiday') {
+    if (HOLIDAY_MODE === 'enforce') {
+      result.error = 'That day is not a public holiday. Choose another overtime type';
+    } else {
+      result.warnings.push('📅 That day is not on the public holiday calendar');
+    }
+  }
+  
+  return result;
+}
+
+// Overtime on the user's weekly rest day is paid at least at the rest day
+// rate. `policy` gives the multipliers and rest day in effect on `date`.
+function checkRestDay(overtimeType, date, policy) {
+  const result = { overtimeType, warnings: [] };
+  const onRestDay = localParts(date).weekday === policy.restDay;
+  
+  if (onRestDay && policy.multipliers.sunday > policy.multipliers[overtimeType]) {
+    result.overtimeType = 'sunday';
+    result.warnings.push(`📅 ${capitalize(WEEKDAYS[policy.restDay])} is your weekly rest day, so the rest day rate (${policy.multipliers.sunday}x) applies`);
+  } else if (!onRestDay && overtimeType === 'sunday') {
+    result.warnings.push(`📅 That day is not your weekly rest day (${capitalize(WEEKDAYS[policy.restDay])})`);
+  }
+  
+  return result;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Overtime pay from the user's other sessions started in the same local
+// calendar month as `at`
+function monthOvertimePay(userId, at, excludeSessionId = null) {
+  const { year, month } = localParts(at);
+  return store.list('sessions', session => {
+    if (session.userId !== userId || session.id === excludeSessionId) {
+      return false;
+    }
+    const started = localParts(session.startTime);
+    return started.year === year && started.month === month;
+  }).reduce((sum, session) => sum + (session.finalPay ?? session.currentEarnings ?? 0), 0);
+}
+
+// Income tax and pension estimate for `overtimePay` on top of the monthly
+// salary. Null when the salary isn't known.
+function estimateDeductions(monthlySalary, overtimePay, userId, { at = new Date(), excludeSessionId = null } = {}) {
+  if (!monthlySalary) {
+    return null;
+  }
+  return calculateDeductions({
+    monthlySalary: Number(monthlySalary),
+    overtimePay,
+    otherOvertimePay: monthOvertimePay(userId, at, excludeSessionId)
+  });
+}
+
+// Sessions are only visible to the user who started them
+function findUserSession(sessionId, userId) {
+  const session = store.get('sessions', sessionId);
+  return session && session.userId === userId ? session : null;
+}
+
+// Live sessions also have a signed session token, handed out when the session
+// starts and reissued whenever its breaks change. Routes that watch or
+// control a live session need it as well as the login. The token carries the
+// session itself, so a server that has no record of it (a fresh serverless
+// instance) rebuilds the session from the token, unless it knows the session
+// was stopped or deleted.
+function findOwnedSession(sessionId, userId, token) {
+  const payload = sessionTokens.verify(token);
+  if (!payload || payload.sid !== sessionId || payload.uid !== userId) {
+    return findUserSession(sessionId, userId)
+      ? { status: 403, error: 'Session token missing or invalid' }
+      : { status: 404, error: 'Session not found' };
+  }
+  
+  const session = findUserSession(sessionId, userId) ||
+    (store.get('endedSessions', sessionId) ? null : restoreSession(payload));
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+  return { session };
+}
+
+// Remember that a session ended, so its token can't restore it after it is
+// deleted
+function markSessionEnded(session, now = new Date()) {
+  store.put('endedSessions', session.id, { userId: session.userId, endedAt: now });
+}
+
+// Put a session known only from its token back in the store
+function restoreSession(payload) {
+  const session = sessionTokens.sessionFromPayload(payload);
+  session.calculation = calculateOvertimePayFromRate(
+    session.hourlyRate,
+    session.overtimeType,
+    session.totalHours || 1,
+    session.policy.multipliers
+  );
+  store.put('sessions', session.id, session);
+  return session;
+}
+
+// The session token of a REST request
+function requestSessionToken(req) {
+  return req.get('X-Session-Token') || null;
+}
+
+// Elapsed time, remaining time and earnings of a session at `now`.
+// Elapsed time excludes breaks, and fixed sessions stop counting once their
+// planned hours are used up. Earnings add up the rate segments, so the
+// multiplier switches whenever the session crosses night hours, the rest
+// day or a public holiday.
+function computeSessionProgress(session, now = new Date()) {
+  const intervals = sessionWorkedIntervals(session, now);
+  const workedSeconds = intervals.reduce((sum, interval) => sum + (interval.end - interval.start) / 1000, 0);
+  const maxSeconds = session.isOpenEnded ? Infinity : session.totalHours * 3600;
+  
+  const segments = segmentIntervals(
+    intervals,
+    session.overtimeType,
+    session.hourlyRate,
+    rateSchedule(session.policy)
+  );
+  const currentSegment = segments[segments.length - 1];
+  
+  return {
+    elapsedSeconds: workedSeconds,
+    remainingSeconds: session.isOpenEnded ? null : Math.max(0, maxSeconds - workedSeconds),
+    earnings: segments.reduce((sum, segment) => sum + segment.subtotal, 0),
+    segments,
+    currentType: currentSegment ? currentSegment.type : session.overtimeType,
+    currentMultiplier: currentSegment ? currentSegment.multiplier : session.calculation.multiplier,
+    isComplete: workedSeconds >= maxSeconds,
+    lastWorkedAt: intervals.length > 0 ? intervals[intervals.length - 1].end : session.startTime
+  };
+}
+
+// Payload of the earnings-update event for a running session
+function earningsUpdate(session, progress) {
+  return {
+    currentEarnings: progress.earnings,
+    netEarnings: liveNetEarnings(session, progress.earnings), // null without a salary
+    elapsedTime: progress.elapsedSeconds,
+    remainingTime: progress.remainingSeconds, // null for open-ended sessions
+    isOpenEnded: session.isOpenEnded,
+    isPaused: Boolean(session.isPaused),
+    currentType: progress.currentType,
+    currentMultiplier: progress.currentMultiplier,
+    segments: progress.segments
+  };
+}
+
+// Earnings of a running session after the income tax they attract
+function liveNetEarnings(session, earnings) {
+  const deductions = estimateDeductions(session.monthlySalary, earnings, session.userId, {
+    at: session.startTime,
+    excludeSessionId: session.id
+  });
+  return deductions ? deductions.netOvertimePay : null;
+}
+
+// The break in progress, if the session is paused
+function currentBreak(session) {
+  const breaks = session.breaks || [];
+  const last = breaks[breaks.length - 1];
+  return last && !last.end ? last : null;
+}
+
+// Breaks are unpaid: they are left out of elapsed time and earnings
+function pauseSession(session, now = new Date()) {
+  if (!session.isActive) {
+    return { error: 'Session is not running' };
+  }
+  if (currentBreak(session)) {
+    return { error: 'Session is already paused' };
+  }
+  
+  session.breaks = [...(session.breaks || []), { start: now, end: null }];
+  session.isPaused = true;
+  store.put('sessions', session.id, session);
+  
+  io.to(session.id).emit('session-paused', { breaks: session.breaks, sessionToken: sessionTokens.sign(session) });
+  return { session };
+}
+
+function resumeSession(session, now = new Date()) {
+  const openBreak = session.isActive ? currentBreak(session) : null;
+  if (!openBreak) {
+    return { error: 'Session is not paused' };
+  }
+  
+  openBreak.end = now;
+  session.isPaused = false;
+  store.put('sessions', session.id, session);
+  
+  io.to(session.id).emit('session-resumed', { breaks: session.breaks, sessionToken: sessionTokens.sign(session) });
+  return { session };
+}
+
+// Close a session and record the hours actually worked. A fixed session that
+// is stopped early is paid (and tracked) only for the time worked.
+function finalizeSession(session, now = new Date()) {
+  // Stopping during a break ends the break too
+  const openBreak = currentBreak(session);
+  if (openBreak) {
+    openBreak.end = now;
+  }
+  
+  const progress = computeSessionProgress(session, now);
+  
+  session.isActive = false;
+  session.isPaused = false;
+  // A completed fixed session ends exactly when its planned hours ran out
+  session.endTime = progress.isComplete ? progress.lastWorkedAt : now;
+  session.isProrated = !session.isOpenEnded && !progress.isComplete;
+  settleSession(session);
+  
+  store.put('sessions', session.id, session);
+  markSessionEnded(session, now);
+  return session;
+}
+
+// Under the auto-stop policy, the moment a running session used up the
+// user's daily, weekly or yearly allowance. Returns { at, period, maxHours }
+// or null while there are hours left.
+function limitStop(session, now = new Date()) {
+  if (session.isPaused || session.emergency) {
+    return null;
+  }
+  
+  const tracking = getUserTracking(session.userId, { at: now });
+  const limits = policyFor(session.userId, now).limits;
+  const periods = [
+    { period: 'daily', used: tracking.daily, maxHours: limits.MAX_HOURS_PER_DAY },
+    { period: 'weekly', used: tracking.weekly, maxHours: limits.MAX_HOURS_PER_WEEK },
+    { period: 'yearly', used: tracking.yearly, maxHours: limits.MAX_HOURS_PER_YEAR }
+  ];
+  const reached = periods
+    .filter(limit => limit.used >= limit.maxHours)
+    .sort((a, b) => (b.used - b.maxHours) - (a.used - a.maxHours))[0];
+  if (!reached) {
+    return null;
+  }
+  
+  // Walk back over the worked time by the hours past the limit, so the stop
+  // lands exactly on the limit even if the server was down when it passed
+  let overMs = (reached.used - reached.maxHours) * MS_PER_HOUR;
+  const intervals = sessionWorkedIntervals(session, now);
+  let at = new Date(session.startTime);
+  for (let i = intervals.length - 1; i >= 0; i--) {
+    const { start, end } = intervals[i];
+    if (end - start >= overMs) {
+      at = new Date(end.getTime() - overMs);
+      break;
+    }
+    overMs -= end - start;
+  }
+  
+  return { at, period: reached.period, maxHours: reached.maxHours };
+}
+
+// End a session at the moment its allowance ran out. Breaks after that
+// moment are dropped, and one in progress then is closed at it.
+function stopAtLimit(session, stop) {
+  session.breaks = (session.breaks || [])
+    .filter(pause => new Date(pause.start) < stop.at)
+    .map(pause => (!pause.end || new Date(pause.end) > stop.at ? { ...pause, end: stop.at } : pause));
+  session.stoppedAtLimit = stop.period;
+  return finalizeSession(session, stop.at);
+}
+
+// Send the session-alert event for each alert rule of the user's (see
+// lib/alerts.js) the running session has just met. The rules that fired are
+// recorded on the session so each fires once.
+function checkSessionAlerts(session, progress, now = new Date()) {
+  const user = store.get('users', session.userId);
+  if (!user) {
+    return;
+  }
+  
+  const rules = getUserSettings(user).alerts;
+  const needsTracking = rules.dailyLimitMinutes !== null || rules.limitPercent !== null;
+  const due = dueAlerts(rules, {
+    earnings: progress.earnings,
+    remainingSeconds: progress.remainingSeconds,
+    emergency: Boolean(session.emergency),
+    tracking: needsTracking ? getUserTracking(session.userId, { at: now }) : null,
+    limits: policyFor(session.userId, now).limits
+  }, session.firedAlerts || []);
+  if (due.length === 0) {
+    return;
+  }
+  
+  session.firedAlerts = [...(session.firedAlerts || []), ...due.map(alert => alert.rule)];
+  store.put('sessions', session.id, session);
+  due.forEach(alert => io.to(session.id).emit('session-alert', alert));
+}
+
+// Work out the final hours, pay and rate segments of an ended session from
+// its start, end and breaks
+function settleSession(session) {
+  const progress = computeSessionProgress(session, session.endTime);
+  
+  session.duration = progress.elapsedSeconds; // worked seconds, breaks excluded
+  session.actualHours = progress.elapsedSeconds / 3600;
+  session.finalPay = progress.earnings;
+  session.currentEarnings = progress.earnings;
+  session.segments = progress.segments;
+  return session;
+}
+
+// Longest session that can be entered by hand
+const MAX_MANUAL_SESSION_HOURS = 24;
+
+// Oldest start or stop an offline client may send when it reconnects
+const MAX_OFFLINE_HOURS = 24;
+
+// When an action queued by an offline client happened (`startedAt` or
+// `stoppedAt`). Returns { at } or { error }; no value means now.
+function offlineActionTime(value, now = new Date()) {
+  if (value === undefined || value === null) {
+    return { at: now };
+  }
+  const at = new Date(value);
+  if (isNaN(at) || at > now) {
+    return { error: 'Queued action time must be a date that has passed' };
+  }
+  if ((now - at) / MS_PER_HOUR > MAX_OFFLINE_HOURS) {
+    return { error: `Queued actions older than ${MAX_OFFLINE_HOURS} hours can't be replayed; add the session by hand` };
+  }
+  return { at };
+}
+
+// Random, so a session can't be found by guessing its id. Older sessions
+// keep their timestamp ids.
+function newSessionId() {
+  return crypto.randomUUID();
+}
+
+// [{ start, end }] with valid, ordered times, or null
+function parseBreaks(list) {
+  if (!Array.isArray(list)) {
+    return null;
+  }
+  const breaks = list.map(pause => ({
+    start: new Date(pause && pause.start),
+    end: new Date(pause && pause.end)
+  }));
+  return breaks.every(pause => !isNaN(pause.start) && !isNaN(pause.end) && pause.end > pause.start)
+    ? breaks
+    : null;
+}
+
+// Validate a past session entered by hand, or an edit to a recorded one, and
+// work out its pay the same way as a live session. Fields missing from
+// `input` are taken from `existing`. Returns { session, warnings } or { error }.
+function prepareManualSession(input, userId, existing = null) {
+  const previous = existing || {};
+  const startTime = new Date(input.startTime ?? previous.startTime);
+  const endTime = new Date(input.endTime ?? previous.endTime);
+  const hourlyRate = input.hourlyRate ?? previous.hourlyRate;
+  const overtimeType = input.overtimeType ?? previous.overtimeType;
+  const breaks = input.breaks !== undefined ? parseBreaks(input.breaks) : previous.breaks || [];
+  const emergencyInput = input.emergency !== undefined
+    ? parseEmergency(input.emergency)
+    : { emergency: previous.emergency || null };
+  
+  if (isNaN(startTime) || isNaN(endTime)) {
+    return { error: 'Start and end time must be valid dates' };
+  }
+  if (endTime <= startTime) {
+    return { error: 'End time must be after the start time' };
+  }
+  if (endTime > new Date()) {
+    return { error: 'Only sessions that have already ended can be entered or edited' };
+  }
+  if ((endTime - startTime) / 3600000 > MAX_MANUAL_SESSION_HOURS) {
+    return { error: `A session can't be longer than ${MAX_MANUAL_SESSION_HOURS} hours` };
+  }
+  if (!hourlyRate || !overtimeType) {
+    return { error: 'Hourly rate and overtime type are required' };
+  }
+  if (hourlyRate <= 0) {
+    return { error: 'Invalid hourly rate' };
+  }
+  if (!OVERTIME_TYPES.includes(overtimeType)) {
+    return { error: 'Unknown overtime type' };
+  }
+  if (!breaks) {
+    return { error: 'Breaks must be a list of { start, end } times' };
+  }
+  if (emergencyInput.error) {
+    return { error: emergencyInput.error };
+  }
+  
+  // New sessions are priced by the pay policy in effect when they started;
+  // edits keep the policy that priced the session
+  const policy = previous.policy || pricingPolicy(policyFor(userId, startTime));
+  
+  const holidayCheck = checkHolidayType(overtimeType, startTime, policy.multipliers);
+  if (holidayCheck.error) {
+    return { error: holidayCheck.error };
+  }
+  
+  // Hand-entered sessions were planned exactly as worked; recorded ones keep
+  // their original plan
+  const isManual = existing ? Boolean(previous.isManual) : true;
+  const totalHours = isManual ? (endTime - startTime) / 3600000 : previous.totalHours;
+  
+  const session = {
+    ...previous,
+    id: previous.id || newSessionId(),
+    userId,
+    hourlyRate,
+    overtimeType: holidayCheck.overtimeType,
+    holiday: holidayCheck.holiday ? holidayCheck.holiday.name : null,
+    startTime,
+    endTime,
+    totalHours,
+    isOpenEnded: isManual ? false : Boolean(previous.isOpenEnded),
+    isProrated: false,
+    isActive: false,
+    isPaused: false,
+    // Breaks outside the new times no longer apply
+    breaks: breaks.filter(pause => pause.start < endTime && pause.end > startTime),
+    isManual,
+    emergency: emergencyInput.emergency,
+    policy,
+    // Planned pay, as at start-session; the settled pay is finalPay
+    calculation: calculateOvertimePayFromRate(
+      hourlyRate,
+      holidayCheck.overtimeType,
+      totalHours || 1,
+      policy.multipliers
+    )
+  };
+  settleSession(session);
+  
+  const validation = validateOvertimeHours(session.actualHours, session.overtimeType, userId, {
+    at: startTime,
+    excludeSessionId: session.id,
+    emergency: Boolean(session.emergency)
+  });
+  if (!validation.isValid) {
+    return { error: validation.errors.join(', ') };
+  }
+  
+  if (isManual) {
+    session.totalHours = session.actualHours; // breaks excluded
+    session.calculation = calculateOvertimePayFromRate(hourlyRate, session.overtimeType, session.actualHours, policy.multipliers);
+  } else {
+    session.isProrated = !session.isOpenEnded && session.actualHours < session.totalHours;
+  }
+  if (existing) {
+    session.editedAt = new Date();
+  }
+  session.warnings = [...holidayCheck.warnings, ...validation.warnings];
+  
+  return { session, warnings: session.warnings };
+}
+
+// Record in the audit log when a session is declared emergency overtime,
+// when its emergency details change and when they are withdrawn. `source`
+// says where the change came from (live, manual, import or edit).
+function auditEmergency(before, after, actorId, source) {
+  const was = before ? before.emergency : null;
+  const now = after ? after.emergency : null;
+  if (sameEmergency(was, now)) {
+    return;
+  }
+  
+  const session = after || before;
+  let action = 'emergency-changed';
+  if (!after) {
+    action = 'emergency-session-deleted';
+  } else if (!was) {
+    action = 'emergency-declared';
+  } else if (!now) {
+    action = 'emergency-withdrawn';
+  }
+  
+  auditLog.record(action, {
+    actorId,
+    userId: session.userId,
+    sessionId: session.id,
+    details: {
+      source,
+      startTime: session.startTime,
+      endTime: session.endTime || null,
+      hours: session.actualHours ?? null,
+      emergency: now || was,
+      previous: now && was ? was : undefined
+    }
+  });
+}
+
+// Socket.io room every connection of a user joins, for notifications
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+// Hours taken from an approved overtime request, leaving out
+// `excludeSessionId` (a session being edited). A running session holds its
+// planned hours until it stops, so two sessions started side by side can't
+// both be given the hours that are left.
+function requestUsedHours(requestId, now = new Date(), excludeSessionId = null) {
+  return store.list('sessions', session => session.requestId === requestId && session.id !== excludeSessionId)
+    .reduce((sum, session) => sum + (session.isActive
+      ? session.totalHours || computeSessionProgress(session, now).elapsedSeconds / 3600
+      : session.actualHours || 0), 0);
+}
+
+// Check a session starting at `at` against the overtime request it is
+// worked under. `excludeSessionId` leaves a session being edited out of the
+// hours already used. Returns { request, remainingHours }, {} when no
+// request is needed, or { error }.
+function checkApprovedRequest(requestId, userId, overtimeType, at, excludeSessionId = null) {
+  if (!requestId) {
+    return REQUIRE_APPROVAL === 'true'
+      ? { error: 'Overtime must be approved in advance. Choose one of your approved overtime requests.' }
+      : {};
+  }
+  
+  const request = overtimeRequests.getRequest(requestId);
+  if (!request || request.userId !== userId) {
+    return { error: 'Overtime request not found' };
+  }
+  if (request.status !== 'approved') {
+    return { error: `That overtime request is ${request.status}` };
+  }
+  if (request.date !== localDateKey(at)) {
+    return { error: `That overtime request is for ${request.date}` };
+  }
+  if (request.overtimeType !== overtimeType) {
+    return { error: `That overtime request is for ${request.overtimeType} overtime` };
+  }
+  
+  const remainingHours = request.approvedHours - requestUsedHours(request.id, new Date(), excludeSessionId);
+  if (remainingHours <= 0) {
+    return { error: 'The approved hours of that overtime request are used up' };
+  }
+  return { request, remainingHours };
+}
+
+// Approval for a past session that is entered by hand, imported or edited:
+// needed just like for a live session, except in an emergency, and the
+// session must fit in the approved hours that are left. Links the session
+// to the request; returns { error } when it can't be.
+function applyApproval(session, requestId) {
+  const approval = session.emergency
+    ? {}
+    : checkApprovedRequest(requestId, session.userId, session.overtimeType, session.startTime, session.id);
+  // A second of slack: a capped live session stops on the tick after its
+  // hours run out
+  if (!approval.error && approval.request && session.actualHours > approval.remainingHours + 1 / 3600) {
+    approval.error = `Only ${approval.remainingHours.toFixed(2)} approved hours are left on that overtime request`;
+  }
+  if (approval.error) {
+    return { error: approval.error };
+  }
+  session.requestId = approval.request ? approval.request.id : null;
+  return {};
+}
+
+// Request with the names of the people involved and the hours left
+function publicRequest(request) {
+  const requester = store.get('users', request.userId);
+  const decider = request.decidedBy ? store.get('users', request.decidedBy) : null;
+  const usedHours = request.status === 'approved' ? requestUsedHours(request.id) : 0;
+  return {
+    ...request,
+    username: requester ? requester.username : 'Unknown user',
+    decidedByName: decider ? decider.username : null,
+    usedHours,
+    remainingHours: request.status === 'approved' ? Math.max(0, request.approvedHours - usedHours) : null
+  };
+}
+
+// Socket.io room of the supervisors watching a team
+function teamRoom(teamId) {
+  return `team:${teamId}`;
+}
+
+// The team, if the user supervises it: { team } or { status, error }
+function findSupervisedTeam(teamId, userId) {
+  const team = teams.getTeam(teamId);
+  if (!team) {
+    return { status: 404, error: 'Team not found' };
+  }
+  if (!teams.isSupervisor(team, userId)) {
+    return { status: 403, error: 'Only a team supervisor can do that' };
+  }
+  return { team };
+}
+
+// The team, if the user may change its members (its supervisors and
+// admins): { team } or { status, error }
+function findManagedTeam(teamId, user) {
+  if (!auth.isAdmin(user)) {
+    return findSupervisedTeam(teamId, user.id);
+  }
+  const team = teams.getTeam(teamId);
+  return team ? { team } : { status: 404, error: 'Team not found' };
+}
+
+// The team, if the user is an active member: { team } or { status, error }
+function findMemberTeam(teamId, userId) {
+  const team = teams.getTeam(teamId);
+  if (!team || !teams.teamIdsOfMember(userId).includes(teamId)) {
+    return { status: 404, error: 'Team not found' };
+  }
+  return { team };
+}
+
+// Team record with member usernames, for the API. `status` is 'invited'
+// until the user accepts.
+function publicTeam(team) {
+  return {
+    id: team.id,
+    name: team.name,
+    createdAt: team.createdAt,
+    role: team.role,
+    members: team.members.map(member => {
+      const user = store.get('users', member.userId);
+      return {
+        userId: member.userId,
+        username: user ? user.username : 'Unknown user',
+        role: member.role,
+        status: member.status || 'active'
+      };
+    })
+  };
+}
+
+// The invitation of `userId` to a team, for the invited user: the team and
+// who invited them, but not the member list
+function publicInvitation(team, userId) {
+  const member = team.members.find(item => item.userId === userId);
+  const inviter = member.invitedBy ? store.get('users', member.invitedBy) : null;
+  return {
+    teamId: team.id,
+    teamName: team.name,
+    role: member.role,
+    invitedByName: inviter ? inviter.username : null
+  };
+}
+
+// Live overview of a team: every member's running session, remaining
+// allowance and overtime cost so far today. Rate segments are split at
+// local midnight, so today's cost is the segments that started today.
+function teamDashboard(team, now = new Date()) {
+  const todayStart = startOfLocalDay(now);
+  
+  const { members: everyone } = publicTeam(team);
+  const members = everyone.filter(member => member.status === 'active').map(member => {
+    const sessions = store.list('sessions', session => (
+      session.userId === member.userId && (session.isActive || new Date(session.endTime) >= todayStart)
+    ));
+    const tracking = getUserTracking(member.userId, { at: now });
+    const limits = policyFor(member.userId, now).limits;
+    let activeSession = null;
+    let costToday = 0;
+    
+    sessions.forEach(session => {
+      const progress = session.isActive ? computeSessionProgress(session, now) : null;
+      const segments = progress ? progress.segments : session.segments || [];
+      costToday += segments
+        .filter(segment => new Date(segment.start) >= todayStart)
+        .reduce((sum, segment) => sum + segment.subtotal, 0);
+      
+      if (progress) {
+        const { segments: _segments, ...update } = earningsUpdate(session, progress);
+        activeSession = {
+          sessionId: session.id,
+          overtimeType: session.overtimeType,
+          emergency: session.emergency || null,
+          startTime: session.startTime,
+          ...update
+        };
+      }
+    });
+    
+    return {
+      ...member,
+      activeSession,
+      tracking: {
+        daily: tracking.daily,
+        weekly: tracking.weekly,
+        yearly: tracking.yearly
+      },
+      limits,
+      remaining: remainingAllowance(tracking, limits),
+      costToday
+    };
+  });
+  
+  return {
+    team: { id: team.id, name: team.name },
+    generatedAt: now,
+    members,
+    invited: everyone.filter(member => member.status === 'invited'),
+    activeCount: members.filter(member => member.activeSession).length,
+    costToday: members.reduce((sum, member) => sum + member.costToday, 0)
+  };
+}
+
+// Hours left before each limit of a pay policy is reached
+function remainingAllowance(tracking, limits) {
+  return {
+    daily: Math.max(0, limits.MAX_HOURS_PER_DAY - tracking.daily),
+    weekly: Math.max(0, limits.MAX_HOURS_PER_WEEK - tracking.weekly),
+    yearly: Math.max(0, limits.MAX_HOURS_PER_YEAR - tracking.yearly)
+  };
+}
+
+// The first limit with no hours left ({ period, maxHours }), if any
+function exhaustedLimit(remaining, limits) {
+  const maxHours = {
+    daily: limits.MAX_HOURS_PER_DAY,
+    weekly: limits.MAX_HOURS_PER_WEEK,
+    yearly: limits.MAX_HOURS_PER_YEAR
+  };
+  const period = Object.keys(maxHours).find(key => remaining[key] <= 0);
+  return period ? { period, maxHours: maxHours[period] } : null;
+}
+
+// The pay policy profile version that applies to a user's overtime on the
+// local date of `at`, with the user's own weekly rest day when they set one
+function policyFor(userId, at = new Date()) {
+  const user = store.get('users', userId);
+  const settings = user ? getUserSettings(user) : {};
+  const version = policies.resolve(settings.policyProfile || null, at);
+  return settings.restDay
+    ? { ...version, restDay: parseWeekday(settings.restDay, version.restDay) }
+    : version;
+}
+
+// What a session records about the profile version that priced it. The
+// rules are copied, so editing or removing a profile file never reprices
+// the sessions it priced.
+function pricingPolicy(version) {
+  return {
+    id: version.id,
+    name: version.name,
+    effectiveFrom: version.effectiveFrom,
+    multipliers: version.multipliers,
+    nightStart: version.nightStart,
+    nightEnd: version.nightEnd,
+    restDay: version.restDay
+  };
+}
+
+// Start a live overtime session for the user at `startTime`, from the same
+// fields as /api/start-session. `workdayId` links the overtime of a workday.
+// Returns { session, result } with the response fields (including the
+// session token), or { error }.
+function startLiveSession(userId, input, { startTime = new Date(), stopTime = null, workdayId = null } = {}) {
+  const { overtimeType, hours, requestId } = input;
+  const { emergency, error: emergencyError } = parseEmergency(input.emergency);
+  
+  // Validate input
+  if (!overtimeType) {
+    return { error: 'Overtime type is required' };
+  }
+  
+  const { hourlyRate, monthlySalary, pay, error: payError } = resolvePay(input, userId, startTime);
+  if (payError) {
+    return { error: payError };
+  }
+  
+  if (emergencyError) {
+    return { error: emergencyError };
+  }
+  
+  const policy = pricingPolicy(policyFor(userId, startTime));
+  const holidayCheck = checkHolidayType(overtimeType, startTime, policy.multipliers);
+  if (holidayCheck.error) {
+    return { error: holidayCheck.error };
+  }
+  
+  // Emergencies can't wait for approval
+  const approval = emergency
+    ? {}
+    : checkApprovedRequest(requestId, userId, holidayCheck.overtimeType, startTime);
+  if (approval.error) {
+    return { error: approval.error };
+  }
+  if (approval.request && hours > approval.remainingHours) {
+    return { error: `Only ${approval.remainingHours.toFixed(2)} approved hours are left on that overtime request` };
+  }
+  
+  // If no hours provided, start open-ended session, unless the approved
+  // hours of the request cap it
+  const totalHours = hours || (approval.request ? approval.remainingHours : null);
+  const hoursToUse = totalHours || 1; // Use 1 hour for initial calculation
+  
+  // A start sent late (after being offline) has already run for a while,
+  // until now or until `stopTime` if it was stopped offline too. Those hours
+  // are past, so auto-stop can't cut them short: they are checked like a
+  // session entered by hand, in the windows of the start.
+  const pastHours = Math.min(Math.max(0, ((stopTime || Date.now()) - startTime) / MS_PER_HOUR), totalHours || Infinity);
+  if (pastHours > 0) {
+    const pastValidation = validateOvertimeHours(pastHours, holidayCheck.overtimeType, userId, {
+      at: startTime,
+      emergency: Boolean(emergency)
+    });
+    if (!pastValidation.isValid) {
+      return { error: pastValidation.errors.join(', ') };
+    }
+  }
+  
+  const validation = validateOvertimeHours(Math.max(hoursToUse, pastHours), holidayCheck.overtimeType, userId, {
+    at: startTime,
+    live: true,
+    openEnded: !totalHours,
+    emergency: Boolean(emergency)
+  });
+  if (!validation.isValid) {
+    return { error: validation.errors.join(', ') };
+  }
+  
+  // The session keeps the chosen type; its rate segments switch to the rest
+  // day rate while it runs on the rest day (see lib/segments.js)
+  const restDayCheck = checkRestDay(holidayCheck.overtimeType, startTime, policy);
+  const calculation = calculateOvertimePayFromRate(hourlyRate, restDayCheck.overtimeType, hoursToUse, policy.multipliers);
+  const sessionId = newSessionId();
+  const warnings = [...holidayCheck.warnings, ...restDayCheck.warnings, ...validation.warnings];
+  
+  const session = {
+    id: sessionId,
+    userId,
+    hourlyRate,
+    overtimeType: holidayCheck.overtimeType,
+    holiday: holidayCheck.holiday ? holidayCheck.holiday.name : null,
+    totalHours: totalHours, // null for open-ended
+    workdayId, // the workday whose overtime this is, if any
+    calculation,
+    monthlySalary, // for the live net pay estimate
+    pay, // how the hourly rate was worked out, null when given directly
+    requestId: approval.request ? approval.request.id : null,
+    emergency,
+    policy, // the profile version that prices the session
+    startTime,
+    isActive: true,
+    currentEarnings: 0,
+    warnings,
+    isOpenEnded: !totalHours
+  };
+  store.put('sessions', sessionId, session);
+  auditEmergency(null, session, userId, 'live');
+  
+  return {
+    session,
+    result: {
+      sessionId,
+      sessionToken: sessionTokens.sign(session), // keep it: the live session routes need it
+      calculation,
+      deductions: estimateDeductions(monthlySalary, calculation.totalPay, userId, { at: startTime }),
+      overtimeType: holidayCheck.overtimeType,
+      suggestedOvertimeType: holidayCheck.suggestedOvertimeType,
+      holiday: holidayCheck.holiday,
+      warnings,
+      isOpenEnded: !totalHours
+    }
+  };
+}
+
+// Start the overtime of a workday whose daily hours are up. The session
+// starts the moment they ran out, even if the server was down then. When it
+// can't start (a limit or a missing approval), the workday goes on as
+// regular time and the user is told why.
+function startWorkdayOvertime(workday) {
+  const { session, result, error } = startLiveSession(workday.userId, workday.overtime, {
+    startTime: workdays.overtimeStart(workday),
+    workdayId: workday.id
+  });
+  
+  if (error) {
+    workdays.blockOvertime(workday, error);
+    io.to(userRoom(workday.userId)).emit('workday-overtime-blocked', {
+      workday: publicWorkday(workday),
+      error
+    });
+    return null;
+  }
+  
+  workdays.linkSession(workday, session.id);
+  io.to(userRoom(workday.userId)).emit('workday-overtime-started', {
+    workday: publicWorkday(workday),
+    ...result
+  });
+  return session;
+}
+
+// A workday with its regular and overtime portions so far
+function publicWorkday(workday, now = new Date()) {
+  const end = workday.clockOut ? new Date(workday.clockOut) : now;
+  const session = workday.sessionId ? store.get('sessions', workday.sessionId) : null;
+  const progress = session && session.isActive ? computeSessionProgress(session, now) : null;
+  
+  return {
+    ...workday,
+    overtimeStartsAt: workdays.overtimeStart(workday),
+    regularHours: workday.regularHours ?? Math.min((end - new Date(workday.clockIn)) / MS_PER_HOUR, workday.dailyHours),
+    overtimeHours: progress ? progress.elapsedSeconds / 3600 : (session ? session.actualHours : 0),
+    overtimePay: progress ? progress.earnings : (session ? session.finalPay : 0),
+    overtimeActive: Boolean(progress)
+  };
+}
+
+// The hourly rate and monthly income a calculation or session is priced
+// with. Takes either the pay fields (payBasis, payAmount, dailyHours,
+// workingDaysPerMonth, converted by lib/pay.js with the working days of the
+// user's pay policy as the default) or an explicit hourlyRate. An explicit
+// monthlySalary overrides the income used for the net pay estimate.
+function resolvePay(body, userId, at = new Date()) {
+  const { hourlyRate, monthlySalary } = body;
+  
+  // The salary is optional and only needed for the net pay estimate
+  if (monthlySalary !== undefined && monthlySalary !== null && !(monthlySalary > 0)) {
+    return { error: 'Invalid monthly salary' };
+  }
+  
+  if (body.payAmount === undefined && body.payBasis === undefined) {
+    if (!hourlyRate) {
+      return { error: 'Pay amount (or an hourly rate) is required' };
+    }
+    if (!(hourlyRate > 0)) {
+      return { error: 'Invalid hourly rate' };
+    }
+    return { hourlyRate: Number(hourlyRate), monthlySalary: Number(monthlySalary) || null, pay: null };
+  }
+  
+  const { pay, error } = parsePay(body, {
+    defaultWorkingDays: policyFor(userId, at).workingDaysPerMonth
+  });
+  if (error) {
+    return { error };
+  }
+  return {
+    hourlyRate: pay.hourlyRate,
+    monthlySalary: Number(monthlySalary) || pay.monthlyIncome,
+    pay
+  };
+}
+
+// Rate schedule used to split a session into rate segments
+function rateSchedule(policy) {
+  return {
+    multipliers: policy.multipliers,
+    nightStart: policy.nightStart ?? SCHEDULE_DEFAULTS.nightStart,
+    nightEnd: policy.nightEnd ?? SCHEDULE_DEFAULTS.nightEnd,
+    restDay: policy.restDay ?? SCHEDULE_DEFAULTS.restDay,
+    holidayOn: date => holidays.holidayOn(date)
+  };
+}
+
+// Overtime totals are always rebuilt from the user's session timestamps,
+// so they follow the real calendar and reset at day, week and year boundaries
+function getUserTracking(userId, { at = new Date(), excludeSessionId = null } = {}) {
+  const userSessions = store.list('sessions', session => (
+    session.userId === userId && session.id !== excludeSessionId
+  ));
+  return summarizeOvertime(userSessions, at);
+}
+
+// Data recorded before accounts existed belongs to the legacy 'default' user.
+// The first account to register takes it over so nothing is lost.
+function adoptLegacyData(userId) {
+  store.list('sessions', session => session.userId === 'default').forEach(session => {
+    session.userId = userId;
+    store.put('sessions', session.id, session);
+  });
+}
+
+function setAuthCookie(res, token) {
+  res.cookie(AUTH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: TOKEN_TTL_MS
+  });
+}
+
+// Routes
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Authentication
+app.post('/api/auth/register', (req, res) => {
+  const { username, password } = req.body;
+  const isFirstUser = store.list('users').length === 0;
+  
+  const result = auth.register(username, password);
+  if (result.error) {
+    return res.status(400).json({
+      error: result.error
+    });
+  }
+  
+  if (isFirstUser) {
+    adoptLegacyData(result.user.id);
+  }
+  
+  const token = auth.issueToken(result.user);
+  setAuthCookie(res, token);
+  
+  res.status(201).json({
+    success: true,
+    user: publicUser(result.user, { isAdmin: auth.isAdmin(result.user) }),
+    token
+  });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  
+  const result = auth.login(username, password);
+  if (result.error) {
+    return res.status(401).json({
+      error: result.error
+    });
+  }
+  
+  const token = auth.issueToken(result.user);
+  setAuthCookie(res, token);
+  
+  res.json({
+    success: true,
+    user: publicUser(result.user, { isAdmin: auth.isAdmin(result.user) }),
+    token
+  });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.revokeToken(auth.extractToken(req.headers));
+  res.clearCookie(AUTH_COOKIE);
+  res.json({ success: true });
+});
+
+// Everything below requires a logged-in user
+app.use('/api', auth.requireAuth);
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    user: publicUser(req.user, { isAdmin: auth.isAdmin(req.user) })
+  });
+});
+
+app.get('/api/settings', (req, res) => {
+  res.json({
+    success: true,
+    settings: getUserSettings(req.user)
+  });
+});
+
+app.put('/api/settings', (req, res) => {
+  const { settings, error } = validateSettingsUpdate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  req.user.settings = { ...getUserSettings(req.user), ...settings };
+  store.put('users', req.user.id, req.user);
+  
+  res.json({
+    success: true,
+    settings: req.user.settings
+  });
+});
+
+// Assign a user's pay policy profile ({ policyProfile }, null for the
+// default). The profile sets their multipliers and limits, so the company
+// chooses it rather than the employee.
+app.put('/api/users/:username/policy-profile', auth.requireAdmin, (req, res) => {
+  const user = auth.findUserByUsername(req.params.username);
+  if (!user) {
+    return res.status(404).json({
+      error: 'No user with that username'
+    });
+  }
+  
+  const { policyProfile, error } = validatePolicyProfile(
+    req.body.policyProfile === undefined ? null : req.body.policyProfile,
+    policies.list().map(profile => profile.name)
+  );
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  user.settings = { ...getUserSettings(user), policyProfile };
+  store.put('users', user.id, user);
+  
+  res.json({
+    success: true,
+    user: { id: user.id, username: user.username, policyProfile }
+  });
+});
+
+// Assign a user's weekly rest day ({ restDay }, null for the pay policy's).
+// Work on it earns the rest day rate, so like the profile it is set by an
+// admin.
+app.put('/api/users/:username/rest-day', auth.requireAdmin, (req, res) => {
+  const user = auth.findUserByUsername(req.params.username);
+  if (!user) {
+    return res.status(404).json({
+      error: 'No user with that username'
+    });
+  }
+  
+  const { restDay, error } = validateRestDay(req.body.restDay === undefined ? null : req.body.restDay);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  user.settings = { ...getUserSettings(user), restDay };
+  store.put('users', user.id, user);
+  
+  res.json({
+    success: true,
+    user: { id: user.id, username: user.username, restDay }
+  });
+});
+
+// Public holiday calendar
+app.get('/api/holidays', (req, res) => {
+  const year = req.query.year ? Number(req.query.year) : localParts(new Date()).year;
+  if (!Number.isInteger(year) || year < 1900 || year > 2099) {
+    return res.status(400).json({
+      error: 'Year must be between 1900 and 2099'
+    });
+  }
+  
+  res.json({
+    success: true,
+    year,
+    holidays: holidays.holidaysForYear(year)
+  });
+});
+
+app.get('/api/holidays/today', (req, res) => {
+  res.json({
+    success: true,
+    holiday: holidays.holidayOn(new Date()),
+    mode: HOLIDAY_MODE
+  });
+});
+
+// Add or correct a holiday on a date; send { isHoliday: false } to remove one.
+// The calendar sets everyone's holiday rate, so only admins can change it.
+app.put('/api/holidays/:date', auth.requireAdmin, (req, res) => {
+  const { name, isHoliday } = req.body;
+  const result = holidays.setOverride(req.params.date, { name, isHoliday }, req.user.id);
+  if (result.error) {
+    return res.status(400).json({
+      error: result.error
+    });
+  }
+  
+  res.json({
+    success: true,
+    override: result.override
+  });
+});
+
+app.delete('/api/holidays/:date', auth.requireAdmin, (req, res) => {
+  if (!holidays.removeOverride(req.params.date)) {
+    return res.status(404).json({
+      error: 'No override for that date'
+    });
+  }
+  
+  res.json({ success: true });
+});
+
+app.post('/api/calculate', (req, res) => {
+  const { overtimeType, hours } = req.body;
+  
+  // Validate input
+  if (!overtimeType) {
+    return res.status(400).json({
+      error: 'Overtime type is required'
+    });
+  }
+  
+  const { hourlyRate, monthlySalary, error: payError } = resolvePay(req.body, req.user.id);
+  if (payError) {
+    return res.status(400).json({
+      error: payError
+    });
+  }
+  
+  const policy = policyFor(req.user.id);
+  const holidayCheck = checkHolidayType(overtimeType, new Date(), policy.multipliers);
+  if (holidayCheck.error) {
+    return res.status(400).json({
+      error: holidayCheck.error
+    });
+  }
+  
+  const restDayCheck = checkRestDay(holidayCheck.overtimeType, new Date(), policy);
+  
+  // If no hours provided, use 1 hour for calculation preview
+  const hoursToUse = hours || 1;
+  
+  const validation = validateOvertimeHours(hoursToUse, restDayCheck.overtimeType, req.user.id, {
+    live: true,
+    openEnded: !hours,
+    emergency: Boolean(req.body.emergency)
+  });
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: validation.errors.join(', ')
+    });
+  }
+  
+  const calculation = calculateOvertimePayFromRate(hourlyRate, restDayCheck.overtimeType, hoursToUse, policy.multipliers);
+  const deductions = estimateDeductions(monthlySalary, calculation.totalPay, req.user.id);
+  
+  res.json({
+    success: true,
+    calculation,
+    deductions,
+    overtimeType: restDayCheck.overtimeType,
+    suggestedOvertimeType: holidayCheck.suggestedOvertimeType,
+    holiday: holidayCheck.holiday,
+    warnings: [...holidayCheck.warnings, ...restDayCheck.warnings, ...validation.warnings],
+    isPreview: !hours // Indicate if this is a preview calculation
+  });
+});
+
+app.post('/api/start-session', (req, res) => {
+  // Overtime of a workday starts on its own
+  if (workdays.openWorkday(req.user.id)) {
+    return res.status(409).json({
+      error: 'You are clocked in; overtime starts automatically after your daily hours'
+    });
+  }
+  
+  // A session started while the client was offline starts when it did
+  const { at: startTime, error: timeError } = offlineActionTime(req.body.startedAt);
+  if (timeError) {
+    return res.status(400).json({
+      error: timeError
+    });
+  }
+  
+  // ...and one stopped offline too ends when it did, in the same request, so
+  // it is never left running on hours that weren't checked
+  const { at: stopTime, error: stopError } = req.body.stoppedAt === undefined
+    ? {}
+    : offlineActionTime(req.body.stoppedAt);
+  if (stopError || (stopTime && stopTime < startTime)) {
+    return res.status(400).json({
+      error: stopError || 'A session can only stop after it started'
+    });
+  }
+  
+  const { session, result, error } = startLiveSession(req.user.id, req.body, { startTime, stopTime });
+  if (error) {
+    return res.status(400).json({
+      error
+    });
+  }
+  
+  if (stopTime) {
+    finalizeSession(session, stopTime);
+  }
+  
+  res.json({
+    success: true,
+    ...result,
+    ...(stopTime ? { session } : {})
+  });
+});
+
+app.post('/api/stop-session/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  const { session, status, error } = findOwnedSession(sessionId, req.user.id, requestSessionToken(req));
+  
+  if (error) {
+    return res.status(status).json({
+      error
+    });
+  }
+  
+  // A client that was offline sends when it stopped
+  const { at: stoppedAt, error: timeError } = offlineActionTime(req.body.stoppedAt);
+  if (timeError || stoppedAt < new Date(session.startTime)) {
+    return res.status(400).json({
+      error: timeError || 'A session can only stop after it started'
+    });
+  }
+  
+  // A fixed session may already have completed on its own
+  if (session.isActive) {
+    finalizeSession(session, stoppedAt);
+  }
+  
+  res.json({
+    success: true,
+    session
+  });
+});
+
+app.post('/api/sessions/:sessionId/pause', (req, res) => {
+  const { session, status, error } = findOwnedSession(req.params.sessionId, req.user.id, requestSessionToken(req));
+  if (error) {
+    return res.status(status).json({
+      error
+    });
+  }
+  
+  const result = pauseSession(session);
+  if (result.error) {
+    return res.status(409).json({
+      error: result.error
+    });
+  }
+  
+  res.json({
+    success: true,
+    isPaused: true,
+    breaks: session.breaks,
+    sessionToken: sessionTokens.sign(session) // replaces the old one
+  });
+});
+
+app.post('/api/sessions/:sessionId/resume', (req, res) => {
+  const { session, status, error } = findOwnedSession(req.params.sessionId, req.user.id, requestSessionToken(req));
+  if (error) {
+    return res.status(status).json({
+      error
+    });
+  }
+  
+  const result = resumeSession(session);
+  if (result.error) {
+    return res.status(409).json({
+      error: result.error
+    });
+  }
+  
+  res.json({
+    success: true,
+    isPaused: false,
+    breaks: session.breaks,
+    sessionToken: sessionTokens.sign(session) // replaces the old one
+  });
+});
+
+// Workday mode: clock in with the same pay fields as /api/start-session
+// plus dailyHours; overtime starts on its own once they are worked
+app.get('/api/workday', (req, res) => {
+  const workday = workdays.openWorkday(req.user.id);
+  const session = workday && workday.sessionId ? store.get('sessions', workday.sessionId) : null;
+  
+  res.json({
+    success: true,
+    workday: workday ? publicWorkday(workday) : null,
+    // The server started the overtime session, so its token comes from here
+    sessionToken: session && session.isActive ? sessionTokens.sign(session) : null
+  });
+});
+
+app.get('/api/workdays', (req, res) => {
+  res.json({
+    success: true,
+    workdays: workdays.listForUser(req.user.id).map(workday => publicWorkday(workday))
+  });
+});
+
+app.post('/api/workday/clock-in', (req, res) => {
+  const { overtimeType, requestId } = req.body;
+  const dailyHours = Number(req.body.dailyHours);
+  
+  if (!(dailyHours > 0) || dailyHours > 24) {
+    return res.status(400).json({
+      error: 'Daily hours must be more than 0 and at most 24'
+    });
+  }
+  
+  if (!OVERTIME_TYPES.includes(overtimeType)) {
+    return res.status(400).json({
+      error: `Overtime type must be one of: ${OVERTIME_TYPES.join(', ')}`
+    });
+  }
+  
+  const { error: payError } = resolvePay(req.body, req.user.id);
+  if (payError) {
+    return res.status(400).json({
+      error: payError
+    });
+  }
+  
+  if (store.list('sessions', session => session.userId === req.user.id && session.isActive).length > 0) {
+    return res.status(409).json({
+      error: 'Stop your running overtime session before clocking in'
+    });
+  }
+  
+  // What the overtime session will be started with
+  const overtime = {
+    payBasis: req.body.payBasis,
+    payAmount: req.body.payAmount,
+    dailyHours,
+    workingDaysPerMonth: req.body.workingDaysPerMonth,
+    hourlyRate: req.body.hourlyRate,
+    monthlySalary: req.body.monthlySalary,
+    overtimeType,
+    requestId: requestId || null
+  };
+  const { workday, error } = workdays.clockIn(req.user.id, {
+    dailyHours,
+    overtime
+  });
+  if (error) {
+    return res.status(409).json({
+      error
+    });
+  }
+  
+  res.json({
+    success: true,
+    workday: publicWorkday(workday)
+  });
+});
+
+// Clocking out ends the workday and its overtime session
+app.post('/api/workday/clock-out', (req, res) => {
+  const workday = workdays.openWorkday(req.user.id);
+  if (!workday) {
+    return res.status(404).json({
+      error: 'You are not clocked in'
+    });
+  }
+  
+  const now = new Date();
+  // Overtime the counter didn't get to start (the server was down)
+  if (!workday.sessionId && !workday.overtimeError && now > workdays.overtimeStart(workday)) {
+    startWorkdayOvertime(workday);
+  }
+  
+  const session = workday.sessionId ? store.get('sessions', workday.sessionId) : null;
+  if (session && session.isActive) {
+    finalizeSession(session, now);
+  }
+  workdays.clockOut(workday, now);
+  
+  res.json({
+    success: true,
+    workday: publicWorkday(workday, now),
+    session
+  });
+});
+
+// The user's full session history as JSON or CSV (?format=)
+app.get('/api/sessions/export', (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({
+      error: 'Format must be one of: json, csv'
+    });
+  }
+  
+  const sessions = store.list('sessions', session => session.userId === req.user.id)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  
+  res.attachment(`overtime-sessions.${format}`);
+  if (format === 'csv') {
+    return res.type('text/csv').send(sessionTransfer.toCsv(sessions));
+  }
+  res.json({
+    exportedAt: new Date(),
+    sessions: sessions.map(sessionTransfer.exportRecord)
+  });
+});
+
+// Import past sessions. Each row is validated and priced like a manual
+// entry; rows with the same start and end as a session already in the
+// history are skipped as duplicates. Tracking is derived from the stored
+// sessions, so it reflects the import straight away.
+app.post('/api/sessions/import', (req, res) => {
+  const parsed = sessionTransfer.parseImport(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      error: parsed.error
+    });
+  }
+  
+  const timesKey = (startTime, endTime) => `${new Date(startTime).getTime()}-${new Date(endTime).getTime()}`;
+  const existing = new Set(
+    store.list('sessions', session => session.userId === req.user.id && session.endTime)
+      .map(session => timesKey(session.startTime, session.endTime))
+  );
+  
+  const results = store.batch(() => parsed.rows.map(({ row, input }) => {
+    const key = timesKey(input.startTime, input.endTime);
+    if (existing.has(key)) {
+      return { row, status: 'duplicate', error: 'A session with the same start and end time already exists' };
+    }
+    
+    const result = prepareManualSession(input, req.user.id);
+    const approval = result.error ? {} : applyApproval(result.session, input.requestId);
+    if (result.error || approval.error) {
+      return { row, status: 'error', error: result.error || approval.error };
+    }
+    
+    store.put('sessions', result.session.id, result.session);
+    auditEmergency(null, result.session, req.user.id, 'import');
+    existing.add(key);
+    return { row, status: 'imported', sessionId: result.session.id, warnings: result.warnings };
+  }));
+  
+  const count = status => results.filter(result => result.status === status).length;
+  res.json({
+    success: true,
+    imported: count('imported'),
+    duplicates: count('duplicate'),
+    failed: count('error'),
+    results,
+    tracking: getUserTracking(req.user.id)
+  });
+});
+
+// Manual entry of a past session
+app.post('/api/sessions', (req, res) => {
+  const result = prepareManualSession(req.body, req.user.id);
+  if (result.error) {
+    return res.status(400).json({
+      error: result.error
+    });
+  }
+  
+  const approval = applyApproval(result.session, req.body.requestId);
+  if (approval.error) {
+    return res.status(400).json({
+      error: approval.error
+    });
   }
   
-  // Check daily limit
-  if (hours > OVERTIME_LIMITS.MAX_HOURS_PER_DAY) {
-    warnings.push(`⚠️ Warning: Exceeding legal limit of ${OVERTIME_LIMITS.MAX_HOURS_PER_DAY} hours per day`);
+  store.put('sessions', result.session.id, result.session);
+  auditEmergency(null, result.session, req.user.id, 'manual');
+  
+  res.json({
+    success: true,
+    session: result.session,
+    warnings: result.warnings
+  });
+});
+
+app.put('/api/sessions/:sessionId', (req, res) => {
+  const session = findUserSession(req.params.sessionId, req.user.id);
+  if (!session) {
+    return res.status(404).json({
+      error: 'Session not found'
+    });
   }
   
-  // Check weekly limit (simplified - in real app would track actual week)
-  const userTracking = userOvertimeTracking.get(userId) || { weekly: 0, yearly: 0 };
-  const newWeeklyTotal = userTracking.weekly + hours;
-  if (newWeeklyTotal > OVERTIME_LIMITS.MAX_HOURS_PER_WEEK) {
-    warnings.push(`⚠️ Warning: This would exceed weekly limit of ${OVERTIME_LIMITS.MAX_HOURS_PER_WEEK} hours (current: ${userTracking.weekly.toFixed(1)}h + ${hours}h = ${newWeeklyTotal.toFixed(1)}h)`);
+  if (session.isActive) {
+    return res.status(409).json({
+      error: 'Stop the session before editing it'
+    });
   }
   
-  // Check yearly limit
-  const newYearlyTotal = userTracking.yearly + hours;
-  if (newYearlyTotal > OVERTIME_LIMITS.MAX_HOURS_PER_YEAR) {
-    warnings.push(`⚠️ Warning: This would exceed yearly limit of ${OVERTIME_LIMITS.MAX_HOURS_PER_YEAR} hours (current: ${userTracking.yearly.toFixed(1)}h + ${hours}h = ${newYearlyTotal.toFixed(1)}h)`);
+  const before = { ...session };
+  const result = prepareManualSession(req.body, req.user.id, session);
+  if (result.error) {
+    return res.status(400).json({
+      error: result.error
+    });
   }
   
-  if (hours > 8) {
-    warnings.push('⚠️ Warning: Very high overtime hours may not be sustainable');
+  // The edited session must still fit its overtime request (or the one
+  // given in `requestId`)
+  const approval = applyApproval(result.session, req.body.requestId !== undefined ? req.body.requestId : session.requestId);
+  if (approval.error) {
+    return res.status(400).json({
+      error: approval.error
+    });
   }
   
-  return {
-    isValid: errors.length === 0,
-    errors,
-    warnings
-  };
-}
-
-function calculateHourlyRate(salary, dailyHours) {
-  return salary / (30 * dailyHours);
-}
-
-function calculateOvertimePay(salary, dailyHours, overtimeType, hours) {
-  const hourlyRate = calculateHourlyRate(salary, dailyHours);
-  const multiplier = OVERTIME_MULTIPLIERS[overtimeType] || 1.5;
-  const totalPay = hourlyRate * multiplier * hours;
-  const ratePerSecond = totalPay / (hours * 3600);
+  store.put('sessions', session.id, result.session);
+  auditEmergency(before, result.session, req.user.id, 'edit');
   
-  return {
-    hourlyRate,
-    multiplier,
-    totalPay,
-    ratePerSecond
-  };
-}
+  res.json({
+    success: true,
+    session: result.session,
+    warnings: result.warnings
+  });
+});
 
-function calculateOvertimePayFromRate(hourlyRate, overtimeType, hours) {
-  const multiplier = OVERTIME_MULTIPLIERS[overtimeType] || 1.5;
-  const totalPay = hourlyRate * multiplier * hours;
-  const ratePerSecond = totalPay / (hours * 3600);
+app.delete('/api/sessions/:sessionId', (req, res) => {
+  const session = findUserSession(req.params.sessionId, req.user.id);
+  if (!session) {
+    return res.status(404).json({
+      error: 'Session not found'
+    });
+  }
   
-  return {
-    hourlyRate,
-    multiplier,
-    totalPay,
-    ratePerSecond
-  };
-}
+  if (session.isActive) {
+    return res.status(409).json({
+      error: 'Stop the session before deleting it'
+    });
+  }
+  
+  store.remove('sessions', session.id);
+  markSessionEnded(session);
+  auditEmergency(session, null, req.user.id, 'delete');
+  
+  res.json({ success: true });
+});
 
-function updateUserOvertimeTracking(userId, hours) {
-  const current = userOvertimeTracking.get(userId) || { weekly: 0, yearly: 0 };
-  current.weekly += hours;
-  current.yearly += hours;
-  userOvertimeTracking.set(userId, current);
-}
+app.get('/api/sessions', (req, res) => {
+  const allSessions = store.list('sessions', session => session.userId === req.user.id);
+  res.json({
+    success: true,
+    sessions: allSessions
+  });
+});
 
-// Routes
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+app.get('/api/overtime-tracking', (req, res) => {
+  const tracking = getUserTracking(req.user.id);
+  res.json({
+    success: true,
+    tracking,
+    limits: policyFor(req.user.id).limits,
+    limitPolicy: LIMIT_POLICY
+  });
 });
 
-app.post('/api/calculate', (req, res) => {
-  const { hourlyRate, overtimeType, hours } = req.body;
-  
-  // Validate input
-  if (!hourlyRate || !overtimeType) {
+// The pay policy profile version in effect for you today, and the
+// configured profiles
+app.get('/api/policy', (req, res) => {
+  res.json({
+    success: true,
+    policy: policyFor(req.user.id),
+    defaultProfile: policies.defaultProfile,
+    profiles: policies.list()
+  });
+});
+
+// Hourly rate for the given pay basis, amount, daily hours and working
+// days, for the live display on the calculator form
+app.get('/api/hourly-rate', (req, res) => {
+  const { pay, error } = parsePay(req.query, {
+    defaultWorkingDays: policyFor(req.user.id).workingDaysPerMonth
+  });
+  if (error) {
     return res.status(400).json({
-      error: 'Hourly rate and overtime type are required'
+      error
     });
   }
   
-  if (hourlyRate <= 0) {
+  res.json({
+    success: true,
+    pay,
+    payBases: PAY_BASES
+  });
+});
+
+// Audit trail of emergency overtime: your own entries and those of the
+// members of teams you supervise, newest first
+app.get('/api/audit', (req, res) => {
+  const userIds = [req.user.id, ...teams.supervisedUserIds(req.user.id)];
+  const usernames = new Map();
+  const username = userId => {
+    if (!usernames.has(userId)) {
+      const user = store.get('users', userId);
+      usernames.set(userId, user ? user.username : 'Unknown user');
+    }
+    return usernames.get(userId);
+  };
+  
+  res.json({
+    success: true,
+    categories: EMERGENCY_CATEGORIES,
+    entries: auditLog.listForUsers(userIds).map(entry => ({
+      ...entry,
+      actorName: username(entry.actorId),
+      username: username(entry.userId)
+    }))
+  });
+});
+
+// Overtime pre-approval requests
+app.get('/api/overtime-requests', (req, res) => {
+  res.json({
+    success: true,
+    requests: overtimeRequests.listForUser(req.user.id).map(publicRequest),
+    approvalRequired: REQUIRE_APPROVAL === 'true'
+  });
+});
+
+app.post('/api/overtime-requests', (req, res) => {
+  const result = overtimeRequests.createRequest(req.user.id, req.body);
+  if (result.error) {
     return res.status(400).json({
-      error: 'Invalid hourly rate'
+      error: result.error
     });
   }
   
-  // If no hours provided, use 1 hour for calculation preview
-  const hoursToUse = hours || 1;
+  // Let supervisors watching the requester's teams know
+  const request = publicRequest(result.request);
+  teams.teamIdsOfMember(req.user.id).forEach(teamId => {
+    io.to(teamRoom(teamId)).emit('overtime-request-created', request);
+  });
   
-  const validation = validateOvertimeHours(hoursToUse, overtimeType);
-  if (!validation.isValid) {
-    return res.status(400).json({
-      error: validation.errors.join(', ')
+  res.json({
+    success: true,
+    request
+  });
+});
+
+// Withdraw a request that hasn't been decided yet
+app.delete('/api/overtime-requests/:requestId', (req, res) => {
+  const request = overtimeRequests.getRequest(req.params.requestId);
+  if (!request || request.userId !== req.user.id) {
+    return res.status(404).json({
+      error: 'Overtime request not found'
     });
   }
   
-  const calculation = calculateOvertimePayFromRate(hourlyRate, overtimeType, hoursToUse);
+  const result = overtimeRequests.cancel(request);
+  if (result.error) {
+    return res.status(409).json({
+      error: result.error
+    });
+  }
   
   res.json({
     success: true,
-    calculation,
-    warnings: validation.warnings,
-    isPreview: !hours // Indicate if this is a preview calculation
+    request: publicRequest(result.request)
   });
 });
 
-app.post('/api/start-session', (req, res) => {
-  const { hourlyRate, overtimeType, hours } = req.body;
+// Requests from the members of the teams the user supervises
+// (?status=pending by default, or 'all')
+app.get('/api/overtime-requests/review', (req, res) => {
+  const status = req.query.status || 'pending';
+  const userIds = teams.supervisedUserIds(req.user.id).filter(userId => userId !== req.user.id);
   
-  // Validate input
-  if (!hourlyRate || !overtimeType) {
+  res.json({
+    success: true,
+    requests: overtimeRequests.listForUsers(userIds, status === 'all' ? null : status).map(publicRequest)
+  });
+});
+
+// Approve ({ hours, note }, hours default to the requested hours) or reject
+// ({ note }) a request; the requester is notified over Socket.io
+['approve', 'reject'].forEach(action => {
+  app.post(`/api/overtime-requests/:requestId/${action}`, (req, res) => {
+    const request = overtimeRequests.getRequest(req.params.requestId);
+    if (!request || !teams.supervisesUser(req.user.id, request.userId)) {
+      return res.status(404).json({
+        error: 'Overtime request not found'
+      });
+    }
+    
+    const result = overtimeRequests.decide(request, {
+      approve: action === 'approve',
+      hours: req.body.hours,
+      note: req.body.note
+    }, req.user.id);
+    if (result.error) {
+      return res.status(400).json({
+        error: result.error
+      });
+    }
+    
+    const decided = publicRequest(result.request);
+    io.to(userRoom(request.userId)).emit('overtime-request-updated', decided);
+    
+    res.json({
+      success: true,
+      request: decided
+    });
+  });
+});
+
+// Teams and the supervisor dashboard
+app.get('/api/teams', (req, res) => {
+  res.json({
+    success: true,
+    teams: teams.teamsForUser(req.user.id).map(publicTeam),
+    invitations: teams.invitationsForUser(req.user.id).map(team => publicInvitation(team, req.user.id))
+  });
+});
+
+// Teams decide who may approve whose overtime, so only admins create them
+app.post('/api/teams', auth.requireAdmin, (req, res) => {
+  const result = teams.createTeam(req.body.name, req.user.id);
+  if (result.error) {
     return res.status(400).json({
-      error: 'Hourly rate and overtime type are required'
+      error: result.error
     });
   }
   
-  if (hourlyRate <= 0) {
-    return res.status(400).json({
-      error: 'Invalid hourly rate'
+  res.json({
+    success: true,
+    team: publicTeam({ ...result.team, role: 'supervisor' })
+  });
+});
+
+// Invite a user by username, or change a member's role. The user joins
+// once they accept the invitation. Only admins make supervisors, so nobody
+// can have a second account of theirs approve their own overtime.
+app.post('/api/teams/:teamId/members', (req, res) => {
+  const { team, status, error } = findManagedTeam(req.params.teamId, req.user);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  if (req.body.role === 'supervisor' && !auth.isAdmin(req.user)) {
+    return res.status(403).json({
+      error: 'Only an administrator can make someone a supervisor'
     });
   }
   
-  // If no hours provided, start open-ended session
-  const totalHours = hours || null;
-  const hoursToUse = totalHours || 1; // Use 1 hour for initial calculation
+  const user = typeof req.body.username === 'string' ? auth.findUserByUsername(req.body.username) : null;
+  if (!user) {
+    return res.status(404).json({
+      error: 'No user with that username'
+    });
+  }
   
-  const validation = validateOvertimeHours(hoursToUse, overtimeType);
-  if (!validation.isValid) {
+  const result = teams.setMember(team, user.id, req.body.role, req.user.id);
+  if (result.error) {
     return res.status(400).json({
-      error: validation.errors.join(', ')
+      error: result.error
     });
   }
   
-  const calculation = calculateOvertimePayFromRate(hourlyRate, overtimeType, hoursToUse);
-  const sessionId = Date.now().toString();
-  
-  sessions.set(sessionId, {
-    id: sessionId,
-    hourlyRate,
-    overtimeType,
-    totalHours: totalHours, // null for open-ended
-    calculation,
-    startTime: new Date(),
-    isActive: true,
-    currentEarnings: 0,
-    warnings: validation.warnings,
-    isOpenEnded: !totalHours
-  });
+  if (result.invited) {
+    io.to(userRoom(user.id)).emit('team-invitation', publicInvitation(result.team, user.id));
+  }
   
   res.json({
     success: true,
-    sessionId,
-    calculation,
-    warnings: validation.warnings,
-    isOpenEnded: !totalHours
+    invited: result.invited,
+    team: publicTeam({ ...result.team, role: 'supervisor' })
   });
 });
 
-app.post('/api/stop-session/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  const session = sessions.get(sessionId);
+// Accept or decline an invitation to a team
+['accept', 'decline'].forEach(action => {
+  app.post(`/api/teams/:teamId/${action}`, (req, res) => {
+    const team = teams.getTeam(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({
+        error: 'Team not found'
+      });
+    }
+    
+    const result = teams.answerInvitation(team, req.user.id, action === 'accept');
+    if (result.error) {
+      return res.status(404).json({
+        error: result.error
+      });
+    }
+    
+    res.json({ success: true });
+  });
+});
+
+// Remove a member or withdraw an invitation (supervisors), or leave a team
+// (the member themselves)
+app.delete('/api/teams/:teamId/members/:userId', (req, res) => {
+  const leaving = req.params.userId === req.user.id;
+  const { team, status, error } = leaving
+    ? findMemberTeam(req.params.teamId, req.user.id)
+    : findManagedTeam(req.params.teamId, req.user);
+  if (error) {
+    return res.status(status).json({ error });
+  }
   
-  if (!session) {
-    return res.status(404).json({
-      error: 'Session not found'
+  const result = teams.removeMember(team, req.params.userId);
+  if (result.error) {
+    return res.status(400).json({
+      error: result.error
     });
   }
   
-  session.isActive = false;
-  session.endTime = new Date();
-  session.duration = (session.endTime - session.startTime) / 1000; // in seconds
-  
-  // Update user overtime tracking
-  updateUserOvertimeTracking('default', session.totalHours);
-  
   res.json({
     success: true,
-    session
+    team: leaving ? null : publicTeam({ ...result.team, role: 'supervisor' })
   });
 });
 
-app.get('/api/sessions', (req, res) => {
-  const allSessions = Array.from(sessions.values());
+// Snapshot of the live overview; the dashboard page keeps it current
+// through the team's socket room
+app.get('/api/teams/:teamId/dashboard', (req, res) => {
+  const { team, status, error } = findSupervisedTeam(req.params.teamId, req.user.id);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  
   res.json({
     success: true,
-    sessions: allSessions
+    dashboard: teamDashboard(team)
   });
 });
 
-app.get('/api/overtime-tracking', (req, res) => {
-  const tracking = userOvertimeTracking.get('default') || { weekly: 0, yearly: 0 };
+// Overtime statement for a pay period (?from=YYYY-MM-DD&to=YYYY-MM-DD,
+// default the current month) as JSON, CSV or PDF (?format=)
+app.get('/api/reports/statement', (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'csv', 'pdf'].includes(format)) {
+    return res.status(400).json({
+      error: 'Format must be one of: json, csv, pdf'
+    });
+  }
+  
+  const period = statements.parsePeriod(req.query);
+  if (period.error) {
+    return res.status(400).json({
+      error: period.error
+    });
+  }
+  
+  const statement = statements.buildStatement(
+    store.list('sessions', session => session.userId === req.user.id),
+    period,
+    {
+      multipliers: policyFor(req.user.id).multipliers,
+      user: req.user,
+      calendar: getUserSettings(req.user).calendar
+    }
+  );
+  
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      statement
+    });
+  }
+  
+  const filename = `overtime-statement-${period.from}-to-${period.to}.${format}`;
+  res.attachment(filename);
+  if (format === 'csv') {
+    res.type('text/csv').send(statements.toCsv(statement));
+  } else {
+    res.type('application/pdf').send(statements.toPdf(statement));
+  }
+});
+
+// The user's running session, if any, so a reloaded page can pick its
+// counter up again. The login is enough here, so it comes with a fresh
+// session token.
+app.get('/api/active-session', (req, res) => {
+  const session = store.list('sessions', item => item.userId === req.user.id && item.isActive)
+    .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))[0];
+  const progress = session ? computeSessionProgress(session) : null;
+  
+  if (progress && progress.isComplete) {
+    finalizeSession(session);
+  }
+  if (!session || !session.isActive) {
+    return res.json({
+      success: true,
+      session: null
+    });
+  }
+  
+  session.currentEarnings = progress.earnings;
   res.json({
     success: true,
-    tracking,
-    limits: OVERTIME_LIMITS
+    session,
+    sessionToken: sessionTokens.sign(session),
+    status: earningsUpdate(session, progress)
   });
 });
 
 // Get session status (for polling fallback)
 app.get('/api/session-status/:sessionId', (req, res) => {
   const sessionId = req.params.sessionId;
-  const session = sessions.get(sessionId);
+  const { session, status: errorStatus, error } = findOwnedSession(sessionId, req.user.id, requestSessionToken(req));
   
-  if (!session) {
-    return res.status(404).json({ success: false, error: 'Session not found' });
+  if (error) {
+    return res.status(errorStatus).json({ success: false, error });
   }
   
+  let status;
   if (session.isActive) {
-    const now = new Date();
-    const elapsedSeconds = (now - session.startTime) / 1000;
+    const progress = computeSessionProgress(session);
     
-    if (session.isOpenEnded) {
-      session.currentEarnings = session.calculation.ratePerSecond * elapsedSeconds;
-      session.elapsedTime = elapsedSeconds;
-      session.remainingTime = null;
+    if (progress.isComplete) {
+      finalizeSession(session);
     } else {
-      const maxSeconds = session.totalHours * 3600;
-      if (elapsedSeconds < maxSeconds) {
-        session.currentEarnings = session.calculation.ratePerSecond * elapsedSeconds;
-        session.elapsedTime = elapsedSeconds;
-        session.remainingTime = maxSeconds - elapsedSeconds;
-      } else {
-        session.isActive = false;
-        session.endTime = now;
-        session.duration = elapsedSeconds;
-        session.currentEarnings = session.calculation.totalPay;
-        session.elapsedTime = elapsedSeconds;
-        session.remainingTime = 0;
-      }
+      session.currentEarnings = progress.earnings;
+      status = {
+        currentEarnings: progress.earnings,
+        netEarnings: liveNetEarnings(session, progress.earnings),
+        elapsedTime: progress.elapsedSeconds,
+        remainingTime: progress.remainingSeconds,
+        currentType: progress.currentType,
+        currentMultiplier: progress.currentMultiplier,
+        segments: progress.segments,
+        isPaused: Boolean(session.isPaused)
+      };
     }
   }
   
+  if (!session.isActive) {
+    status = {
+      currentEarnings: session.finalPay,
+      elapsedTime: session.duration,
+      remainingTime: session.isOpenEnded ? null : 0,
+      segments: session.segments || []
+    };
+  }
+  
   res.json({
     success: true,
     session: {
-      currentEarnings: session.currentEarnings,
-      elapsedTime: session.elapsedTime,
-      remainingTime: session.remainingTime,
+      ...status,
       isOpenEnded: session.isOpenEnded,
       isActive: session.isActive
     }
   });
 });
 
-// Socket.io for real-time updates
+// Socket.io for real-time updates (only logged-in users may connect)
+io.use(auth.authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   
+  // Personal room for notifications such as request decisions
+  socket.join(userRoom(socket.user.id));
+  
   // Send connection confirmation
   socket.emit('connected', { 
     message: 'Connected to server',
     timestamp: new Date().toISOString()
   });
   
-  socket.on('join-session', (sessionId) => {
-    socket.join(sessionId);
-    const session = sessions.get(sessionId);
-    if (session) {
-      socket.emit('session-data', session);
+  // Only the owner, with the session's owner token, may subscribe to its
+  // earnings: { sessionId, token }
+  socket.on('join-session', (data) => {
+    const { sessionId, token } = data || {};
+    const { session, error } = findOwnedSession(sessionId, socket.user.id, token);
+    if (error) {
+      socket.emit('session-error', { error });
+      return;
+    }
+    
+    socket.join(session.id);
+    socket.emit('session-data', session);
+  });
+  
+  // Pause and resume over the socket; the same as the REST endpoints. Only
+  // for a session this socket has joined, which took the owner token.
+  socket.on('pause-session', (sessionId) => {
+    const session = socket.rooms.has(sessionId) ? findUserSession(sessionId, socket.user.id) : null;
+    const result = session ? pauseSession(session) : { error: 'Session not found' };
+    if (result.error) {
+      socket.emit('session-error', { error: result.error });
+    }
+  });
+  
+  socket.on('resume-session', (sessionId) => {
+    const session = socket.rooms.has(sessionId) ? findUserSession(sessionId, socket.user.id) : null;
+    const result = session ? resumeSession(session) : { error: 'Session not found' };
+    if (result.error) {
+      socket.emit('session-error', { error: result.error });
+    }
+  });
+  
+  // Supervisors subscribe to a team's live overview (team-update events)
+  socket.on('join-team', (teamId) => {
+    const { team, error } = findSupervisedTeam(teamId, socket.user.id);
+    if (error) {
+      socket.emit('team-error', { error });
+      return;
     }
+    
+    socket.join(teamRoom(team.id));
+    socket.emit('team-update', teamDashboard(team));
+  });
+  
+  socket.on('leave-team', (teamId) => {
+    socket.leave(teamRoom(teamId));
   });
   
   socket.on('ping', () => {
@@ -331,53 +2311,74 @@ io.on('connection', (socket) => {
   });
 });
 
-// Real-time counter update
-setInterval(() => {
-  sessions.forEach((session, sessionId) => {
-    if (session.isActive) {
-      const now = new Date();
-      const elapsedSeconds = (now - session.startTime) / 1000;
+// Real-time counter update. Active sessions are reloaded from storage on
+// startup, so counters pick up where they left off after a restart.
+function tick() {
+  const now = new Date();
+  
+  // Workdays whose daily hours are up switch to overtime
+  workdays.listOpen()
+    .filter(workday => !workday.sessionId && !workday.overtimeError && now >= workdays.overtimeStart(workday))
+    .forEach(startWorkdayOvertime);
+  
+  store.list('sessions', session => session.isActive).forEach(session => {
+    const progress = computeSessionProgress(session, now);
+    
+    if (progress.isComplete) {
+      finalizeSession(session, now);
       
-      if (session.isOpenEnded) {
-        // Open-ended session - no time limit
-        session.currentEarnings = session.calculation.ratePerSecond * elapsedSeconds;
-        
-        io.to(sessionId).emit('earnings-update', {
-          currentEarnings: session.currentEarnings,
-          elapsedTime: elapsedSeconds,
-          remainingTime: null, // No time limit
-          isOpenEnded: true
-        });
-      } else {
-        // Fixed duration session
-        const maxSeconds = session.totalHours * 3600;
-        
-        if (elapsedSeconds < maxSeconds) {
-          session.currentEarnings = session.calculation.ratePerSecond * elapsedSeconds;
-          
-          io.to(sessionId).emit('earnings-update', {
-            currentEarnings: session.currentEarnings,
-            elapsedTime: elapsedSeconds,
-            remainingTime: maxSeconds - elapsedSeconds,
-            isOpenEnded: false
-          });
-        } else {
-          session.isActive = false;
-          session.endTime = now;
-          session.duration = elapsedSeconds;
-          session.currentEarnings = session.calculation.totalPay;
-          
-          io.to(sessionId).emit('session-complete', {
-            finalEarnings: session.currentEarnings,
-            totalDuration: elapsedSeconds
-          });
-        }
-      }
+      io.to(session.id).emit('session-complete', {
+        finalEarnings: session.finalPay,
+        totalDuration: session.duration
+      });
+      return;
     }
+    
+    const stop = LIMIT_POLICY === 'auto-stop' ? limitStop(session, now) : null;
+    if (stop) {
+      stopAtLimit(session, stop);
+      
+      io.to(session.id).emit('limit-reached', {
+        limit: stop.period,
+        maxHours: stop.maxHours,
+        stoppedAt: session.endTime,
+        finalEarnings: session.finalPay,
+        totalDuration: session.duration,
+        message: `Your ${stop.period} overtime limit of ${stop.maxHours} hours was reached, so the session was stopped.`
+      });
+      return;
+    }
+    
+    session.currentEarnings = progress.earnings;
+    checkSessionAlerts(session, progress, now);
+    
+    io.to(session.id).emit('earnings-update', earningsUpdate(session, progress));
+  });
+  
+  // Supervisors watching a team get a fresh overview every second
+  store.list('teams', team => io.sockets.adapter.rooms.has(teamRoom(team.id))).forEach(team => {
+    io.to(teamRoom(team.id)).emit('team-update', teamDashboard(team, now));
+  });
+}
+
+// `node server.js` runs the long-running server with Socket.io and the
+// counter. On Vercel the app is imported as a serverless function instead:
+// there is no counter, and clients poll /api/session-status with their
+// session token.
+if (require.main === module) {
+  if (!SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set: session tokens will stop working when the server restarts');
+  }
+  if (process.env.ADMIN_USERNAMES) {
+    console.warn('ADMIN_USERNAMES is no longer read: list administrators by id in ADMIN_USER_IDS');
+  }
+  
+  setInterval(tick, 1000); // Update every second
+  
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Visit http://localhost:${PORT} to use the overtime counter`);
   });
-}, 1000); // Update every second
+}
 
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Visit http://localhost:${PORT} to use the overtime counter`);
-});
+module.exports = app;
@@ -0,0 +1,51 @@
+// Overtime pay at a fixed rate, and the live counter worked out from it.
+// Shared by the server (require) and the browser (window.OvertimeEarnings),
+// so the page can keep counting with the server's numbers while it is
+// offline.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.OvertimeEarnings = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  function calculateOvertimePayFromRate(hourlyRate, overtimeType, hours, multipliers) {
+    const multiplier = multipliers[overtimeType] || 1.5;
+    const totalPay = hourlyRate * multiplier * hours;
+    const ratePerSecond = totalPay / (hours * 3600);
+
+    return {
+      hourlyRate,
+      multiplier,
+      totalPay,
+      ratePerSecond
+    };
+  }
+
+  // The counter at `now` (ms), carried on from the figures known at
+  // `counter.at` at `counter.ratePerSecond`. Nothing is added during a
+  // break, and a fixed session stops at its planned hours.
+  //   counter: { currentEarnings, elapsedTime, remainingTime, isOpenEnded,
+  //              isPaused, ratePerSecond, at }
+  function projectCounter(counter, now) {
+    let seconds = counter.isPaused ? 0 : Math.max(0, (now - counter.at) / 1000);
+    if (!counter.isOpenEnded) {
+      seconds = Math.min(seconds, counter.remainingTime);
+    }
+
+    return {
+      ...counter,
+      currentEarnings: counter.currentEarnings + seconds * counter.ratePerSecond,
+      elapsedTime: counter.elapsedTime + seconds,
+      remainingTime: counter.isOpenEnded ? null : counter.remainingTime - seconds,
+      isComplete: !counter.isOpenEnded && counter.remainingTime - seconds <= 0,
+      at: now
+    };
+  }
+
+  return {
+    calculateOvertimePayFromRate,
+    projectCounter
+  };
+});
@@ -0,0 +1,109 @@
+// Gregorian <-> Ethiopian calendar conversion.
+// Shared by the server (require) and the browser (window.EthiopianCalendar).
+// Conversions go through the Julian Day Number; the Ethiopian calendar has
+// twelve 30-day months plus Pagume (5 days, 6 in a leap year).
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EthiopianCalendar = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  const ETHIOPIAN_EPOCH = 1724221; // JDN of Meskerem 1, year 1 (Amete Mihret)
+  const UNIX_EPOCH_JDN = 2440588; // JDN of 1970-01-01
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  const MONTH_NAMES = [
+    'Meskerem', 'Tikimt', 'Hidar', 'Tahsas', 'Tir', 'Yekatit', 'Megabit',
+    'Miazia', 'Ginbot', 'Sene', 'Hamle', 'Nehase', 'Pagume'
+  ];
+
+  // Month the Ethiopian government fiscal year starts in (Hamle)
+  const FISCAL_YEAR_START_MONTH = 11;
+
+  function isLeapYear(year) {
+    return year % 4 === 3;
+  }
+
+  function daysInMonth(year, month) {
+    if (month === 13) {
+      return isLeapYear(year) ? 6 : 5;
+    }
+    return 30;
+  }
+
+  function isValidDate(year, month, day) {
+    return Number.isInteger(year) && Number.isInteger(month) && Number.isInteger(day) &&
+      month >= 1 && month <= 13 && day >= 1 && day <= daysInMonth(year, month);
+  }
+
+  function gregorianToJdn(year, month, day) {
+    return Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY) + UNIX_EPOCH_JDN;
+  }
+
+  function jdnToGregorian(jdn) {
+    const date = new Date((jdn - UNIX_EPOCH_JDN) * MS_PER_DAY);
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate()
+    };
+  }
+
+  function ethiopianToJdn(year, month, day) {
+    return ETHIOPIAN_EPOCH + 365 * (year - 1) + Math.floor(year / 4) + 30 * (month - 1) + day - 1;
+  }
+
+  function jdnToEthiopian(jdn) {
+    const cycle = Math.floor((jdn - ETHIOPIAN_EPOCH + 365) / 1461);
+    const remainder = (jdn - ETHIOPIAN_EPOCH + 365) % 1461;
+    const dayOfYear = (remainder % 365) + 365 * Math.floor(remainder / 1460);
+    return {
+      year: 4 * cycle + Math.floor(remainder / 365) - Math.floor(remainder / 1460),
+      month: Math.floor(dayOfYear / 30) + 1,
+      day: (dayOfYear % 30) + 1
+    };
+  }
+
+  // Gregorian { year, month, day } -> Ethiopian { year, month, day }
+  function toEthiopian(year, month, day) {
+    return jdnToEthiopian(gregorianToJdn(year, month, day));
+  }
+
+  // Ethiopian { year, month, day } -> Gregorian { year, month, day }
+  function toGregorian(year, month, day) {
+    if (!isValidDate(year, month, day)) {
+      throw new RangeError(`Invalid Ethiopian date: ${year}-${month}-${day}`);
+    }
+    return jdnToGregorian(ethiopianToJdn(year, month, day));
+  }
+
+  // Start of the Ethiopian calendar year (Meskerem 1) as a Gregorian date
+  function yearStart(year) {
+    return toGregorian(year, 1, 1);
+  }
+
+  // Start of the fiscal year (Hamle 1) that begins in Ethiopian `year`
+  function fiscalYearStart(year) {
+    return toGregorian(year, FISCAL_YEAR_START_MONTH, 1);
+  }
+
+  // "Meskerem 1, 2019 E.C."
+  function format(date) {
+    return `${MONTH_NAMES[date.month - 1]} ${date.day}, ${date.year} E.C.`;
+  }
+
+  return {
+    MONTH_NAMES,
+    FISCAL_YEAR_START_MONTH,
+    isLeapYear,
+    daysInMonth,
+    isValidDate,
+    toEthiopian,
+    toGregorian,
+    yearStart,
+    fiscalYearStart,
+    format
+  };
+});